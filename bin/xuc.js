@@ -0,0 +1,157 @@
+#!/usr/bin/env node
+/**
+ * xuc - convert URLs to Xget URLs (or back) from the command line
+ *
+ * Usage:
+ *   xuc [--domain <url>] [--json] [--reverse] [url...]
+ *   cat urls.txt | xuc --domain https://xget.example.com
+ *
+ * URLs are read from the arguments, or one per line from stdin when no
+ * argument is given. Unsupported inputs are reported on stderr and make the
+ * process exit with status 1.
+ */
+import { createInterface } from "node:readline";
+import { parseArgs } from "node:util";
+import { convert } from "../src/convert.js";
+import { PLATFORMS } from "../src/platforms.js";
+import { PLATFORM_ROUTES } from "../src/platformRoutes.js";
+import { reverseXgetUrl } from "../src/reverseXgetUrl.js";
+
+/**
+ * Xget domain used when neither --domain nor XGET_DOMAIN is given, same as the converter page
+ * @type {string}
+ */
+const DEFAULT_XGET_DOMAIN = "https://xget.a1u06h9fe9y5bozbmgz3.qzz.io";
+
+/**
+ * Help text printed by --help
+ * @type {string}
+ */
+const USAGE = `Usage: xuc [options] [url...]
+
+Convert upstream URLs to Xget URLs. Reads URLs from stdin (one per line)
+when no URL is given.
+
+Options:
+  -d, --domain <url>  Xget domain (default: $XGET_DOMAIN or ${DEFAULT_XGET_DOMAIN})
+  -j, --json          Print results as JSON, including the conversion trace
+  -r, --reverse       Convert Xget URLs back to the original URLs
+  -h, --help          Show this help
+`;
+
+/**
+ * Read non-empty lines from stdin
+ * @async
+ * @returns {Promise<string[]>} Trimmed lines
+ */
+async function readStdinLines() {
+  const lines = [];
+  for await (const line of createInterface({ input: process.stdin })) {
+    if (line.trim()) {
+      lines.push(line.trim());
+    }
+  }
+  return lines;
+}
+
+/**
+ * Convert one input in the requested direction
+ * @param {string} input - URL to convert
+ * @param {string} domain - Xget domain
+ * @param {boolean} reverse - Convert an Xget URL back to the original
+ * @returns {{input: string, key: ?string, output: ?string, trace?: Object}} Result, output is null when unsupported
+ */
+function convertInput(input, domain, reverse) {
+  if (reverse) {
+    const reversed = reverseXgetUrl(
+      input,
+      [...new Set([domain, DEFAULT_XGET_DOMAIN])],
+      PLATFORMS,
+      PLATFORM_ROUTES
+    );
+    return {
+      input,
+      key: reversed?.key ?? null,
+      output: reversed?.originalUrl ?? null,
+    };
+  }
+
+  const converted = convert(input, { domain, platforms: PLATFORMS });
+  return {
+    input,
+    key: converted?.key ?? null,
+    output: converted?.xgetUrl ?? null,
+    trace: converted?.trace ?? null,
+  };
+}
+
+/**
+ * Run the CLI
+ * @async
+ * @returns {Promise<number>} Exit status
+ */
+async function main() {
+  let args;
+  try {
+    args = parseArgs({
+      allowPositionals: true,
+      options: {
+        domain: { type: "string", short: "d" },
+        json: { type: "boolean", short: "j" },
+        reverse: { type: "boolean", short: "r" },
+        help: { type: "boolean", short: "h" },
+      },
+    });
+  } catch (error) {
+    process.stderr.write(`xuc: ${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  const { values, positionals } = args;
+  if (values.help) {
+    process.stdout.write(USAGE);
+    return 0;
+  }
+
+  const domain = (
+    values.domain ??
+    process.env.XGET_DOMAIN ??
+    DEFAULT_XGET_DOMAIN
+  ).replace(/\/$/, "");
+  if (
+    !URL.canParse(domain) ||
+    !["http:", "https:"].includes(new URL(domain).protocol)
+  ) {
+    process.stderr.write(`xuc: invalid --domain: ${domain}\n`);
+    return 2;
+  }
+
+  const inputs =
+    positionals.length > 0 || process.stdin.isTTY
+      ? positionals
+      : await readStdinLines();
+  if (inputs.length === 0) {
+    process.stderr.write(USAGE);
+    return 2;
+  }
+
+  const results = inputs.map((input) =>
+    convertInput(input, domain, Boolean(values.reverse))
+  );
+
+  if (values.json) {
+    process.stdout.write(JSON.stringify(results, null, 2) + "\n");
+  } else {
+    for (const result of results) {
+      if (result.output) {
+        process.stdout.write(result.output + "\n");
+      } else {
+        process.stderr.write(`xuc: unsupported URL: ${result.input}\n`);
+      }
+    }
+  }
+
+  return results.every((result) => result.output) ? 0 : 1;
+}
+
+process.exitCode = await main();
@@ -0,0 +1,34 @@
+/**
+ * Build a link that opens the converter with the given state
+ * Existing unrelated query parameters are kept, the state parameters are
+ * written to the query string and removed from the hash
+ * @param {string} pageUrl - Current page URL
+ * @param {Object} state - Converter state
+ * @param {string} [state.url] - Input to pre-fill, omitted when empty
+ * @param {string} [state.domain] - Xget domain, omitted when it is the default
+ * @param {string} [state.mode] - Converter mode, omitted for "convert"
+ * @param {string} [defaultDomain] - Domain that does not need to be shared
+ * @returns {string} Share link
+ */
+export function buildShareLink(pageUrl, { url, domain, mode }, defaultDomain) {
+  const link = new URL(pageUrl);
+  const hash = new URLSearchParams(link.hash.replace(/^#/, ""));
+
+  const params = {
+    url: url?.trim() || null,
+    domain: domain && domain !== defaultDomain ? domain : null,
+    mode: mode && mode !== "convert" ? mode : null,
+  };
+
+  for (const [name, value] of Object.entries(params)) {
+    hash.delete(name);
+    if (value) {
+      link.searchParams.set(name, value);
+    } else {
+      link.searchParams.delete(name);
+    }
+  }
+
+  link.hash = hash.toString();
+  return link.toString();
+}
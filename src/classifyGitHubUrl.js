@@ -0,0 +1,187 @@
+/**
+ * Branch name prefixes that are usually followed by another path segment
+ * (feature/x, release/1.2, dependabot/npm/...), used to pick the default split
+ * @type {string[]}
+ */
+const BRANCH_PREFIXES = [
+  "feature",
+  "feat",
+  "fix",
+  "bugfix",
+  "hotfix",
+  "release",
+  "releases",
+  "chore",
+  "dependabot",
+  "renovate",
+  "users",
+  "user",
+];
+
+/**
+ * Version-like tag names such as v1.2.3, 2.0 or v1.0.0-rc.1
+ * @type {RegExp}
+ */
+const TAG_PATTERN = /^v?\d+(?:\.\d+)+(?:[-+][\w.]+)?$/;
+
+/**
+ * Full or abbreviated commit SHA
+ * @type {RegExp}
+ */
+const SHA_PATTERN = /^[0-9a-f]{7,40}$/;
+
+/**
+ * Classify a github.com URL path and map it to the downloadable path for the
+ * gh prefix
+ * - blob links become raw links: tags use refs/tags, SHAs are kept as-is and
+ *   branches use refs/heads
+ * - tree, release tag and other page links are flagged as non-downloadable
+ * - release assets, archives and raw links are already downloadable
+ * When the ref of a blob link is ambiguous (branch names may contain slashes,
+ * version-like names may be branches or tags) every distinct raw path is
+ * returned as a candidate, most likely first
+ * @param {string} pathWithQuery - URL path on github.com, optionally with query string
+ * @returns {{type: string, downloadable: boolean, path: string, candidates: Array<{ref: string, file: string, path: string}>}} Classification, candidate refs are in raw URL form
+ */
+export function classifyGitHubUrl(pathWithQuery) {
+  const queryIndex = pathWithQuery.indexOf("?");
+  const pathname =
+    queryIndex === -1 ? pathWithQuery : pathWithQuery.slice(0, queryIndex);
+  const search = queryIndex === -1 ? "" : pathWithQuery.slice(queryIndex);
+
+  const unchanged = (type, downloadable) => ({
+    type,
+    downloadable,
+    path: pathWithQuery,
+    candidates: [],
+  });
+
+  const repoMatch = pathname.match(/^\/([^\/]+)\/([^\/]+)(?:\/(.*))?$/);
+  if (!repoMatch) {
+    return unchanged("page", false);
+  }
+
+  const [, owner, repo, rest = ""] = repoMatch;
+  const [section, ...tail] = rest.split("/");
+
+  switch (section) {
+    case "":
+      return unchanged("repository", false);
+
+    case "blob": {
+      const candidates = [];
+      for (const { ref, file } of resolveRefCandidates(tail)) {
+        for (const refPath of toRefPaths(ref)) {
+          const path = `/${owner}/${repo}/raw/${refPath}/${file}${search}`;
+          // Different splits of a branch name can produce the same raw path
+          if (!candidates.some((candidate) => candidate.path === path)) {
+            candidates.push({ ref: refPath, file, path });
+          }
+        }
+      }
+
+      if (candidates.length === 0) {
+        return unchanged("page", false);
+      }
+
+      return {
+        type: "file",
+        downloadable: true,
+        path: candidates[0].path,
+        candidates,
+      };
+    }
+
+    case "raw":
+      return unchanged("raw-file", true);
+
+    case "tree":
+      return unchanged("directory", false);
+
+    case "releases":
+      // releases/download/<tag>/<asset> and releases/latest/download/<asset>
+      if (tail[0] === "download" || tail[1] === "download") {
+        return unchanged("release-asset", true);
+      }
+      return unchanged("release-page", false);
+
+    case "archive":
+      return unchanged("archive", true);
+
+    case "commit":
+    case "pull":
+    case "compare":
+      if (/\.(patch|diff)$/.test(pathname)) {
+        return unchanged("patch", true);
+      }
+      return unchanged("page", false);
+
+    default:
+      return unchanged("page", false);
+  }
+}
+
+/**
+ * Compute the possible ref/file splits of the segments after /blob/
+ * The most likely split comes first
+ * @param {string[]} segments - Path segments after /blob/
+ * @returns {Array<{ref: string, file: string}>} Candidate splits
+ */
+function resolveRefCandidates(segments) {
+  if (segments.length === 0 || !segments[0]) {
+    return [];
+  }
+
+  // Explicit refs/heads/<branch> or refs/tags/<tag>
+  if (
+    segments[0] === "refs" &&
+    (segments[1] === "heads" || segments[1] === "tags") &&
+    segments.length >= 3
+  ) {
+    return [
+      {
+        ref: segments.slice(0, 3).join("/"),
+        file: segments.slice(3).join("/"),
+      },
+    ];
+  }
+
+  // A full commit SHA or a single split point leaves no room for ambiguity
+  if (/^[0-9a-f]{40}$/.test(segments[0]) || segments.length <= 2) {
+    return [{ ref: segments[0], file: segments.slice(1).join("/") }];
+  }
+
+  const candidates = [];
+  for (let i = 1; i < segments.length; i++) {
+    candidates.push({
+      ref: segments.slice(0, i).join("/"),
+      file: segments.slice(i).join("/"),
+    });
+  }
+
+  // Prefer "feature/x" over "feature" when the first segment is a branch prefix
+  if (BRANCH_PREFIXES.includes(segments[0].toLowerCase())) {
+    candidates.unshift(candidates.splice(1, 1)[0]);
+  }
+
+  return candidates;
+}
+
+/**
+ * Map a ref name to the forms it may take in raw URLs, most likely first
+ * Version-like names and abbreviated SHAs may also be branch names
+ * @param {string} ref - Branch, tag, SHA or explicit refs/... name
+ * @returns {string[]} Ref paths for /raw/
+ */
+function toRefPaths(ref) {
+  if (ref.startsWith("refs/") || /^[0-9a-f]{40}$/.test(ref)) {
+    return [ref];
+  }
+  if (SHA_PATTERN.test(ref)) {
+    return [ref, `refs/heads/${ref}`];
+  }
+  if (TAG_PATTERN.test(ref)) {
+    return [`refs/tags/${ref}`, `refs/heads/${ref}`];
+  }
+  return [`refs/heads/${ref}`];
+}
@@ -0,0 +1,210 @@
+import {
+  findPlatformRewrite,
+  findPlatformRoutes,
+  hasPlatformRoutes,
+} from "./platformRoutes.js";
+
+/**
+ * Confidence (0-100) of each way a platform can match a URL
+ * - exact-host: the URL host is the platform host
+ * - route / route-fallback: a routing rule with / without a path pattern matched
+ * - shared-host: the platform shares the host, but its routing rule did not match the path
+ * - subdomain: the URL host is a subdomain of the platform host
+ * - base-domain: only the last two labels of the hosts agree
+ * @type {Object.<string, number>}
+ */
+const MATCH_CONFIDENCE = {
+  "exact-host": 100,
+  route: 95,
+  "route-fallback": 80,
+  subdomain: 60,
+  "shared-host": 40,
+  "base-domain": 30,
+};
+
+/**
+ * Candidates this close to the best confidence are plausible alternatives
+ * @type {number}
+ */
+const PLAUSIBLE_MARGIN = 30;
+
+/**
+ * Convert an upstream URL to its Xget form
+ * Detection and path rewrites do not depend on the page, so the same logic
+ * runs in the converter, in generated bookmarklets and userscripts
+ * @param {string} url - Upstream URL
+ * @param {Object} options - Conversion options
+ * @param {string} options.domain - Xget domain (e.g. https://xget.example.com)
+ * @param {Object.<string, string>} options.platforms - Platform key to base URL mappings
+ * @param {string} [options.key] - Platform key to use instead of detecting one
+ * @param {string} [options.preferredKey] - Platform key to pick when it is one of several plausible candidates
+ * @returns {?{key: string, xgetUrl: string, trace: Object}} Platform key, Xget URL and how they were derived, null when the URL is invalid or unsupported
+ *
+ * The trace records:
+ * - match: "forced", "exact-host", "route", "subdomain", "shared-host" or "base-domain"
+ * - candidates: every matching platform as {key, match, confidence}, most confident first
+ * - plausible: keys of the candidates close enough to the best one to be a real alternative
+ * - preferred: true when preferredKey decided between plausible candidates
+ * - rewrites: path rewrites applied, as {rule, description, from, to}
+ * - parts: the Xget URL split into domain, prefix and path
+ */
+export function convert(url, { domain, platforms, key, preferredKey }) {
+  let urlObj;
+  try {
+    urlObj = new URL(url);
+  } catch {
+    return null;
+  }
+
+  const detection = key
+    ? {
+        key,
+        match: "forced",
+        candidates: [{ key, match: "forced", confidence: 100 }],
+        plausible: [key],
+        preferred: false,
+      }
+    : detectPlatformKey(urlObj, platforms, preferredKey);
+  if (!detection) {
+    return null;
+  }
+  const platformKey = detection.key;
+  const rewrites = [];
+
+  // Keep the query string, some platforms need it
+  let path = urlObj.pathname + urlObj.search;
+
+  // Platform specific rewrites (GitHub blob → raw, homebrew prefixes, ...) live in the routing rules
+  const rewriteRule = findPlatformRewrite(platformKey);
+  if (rewriteRule?.rewrite) {
+    const rewritten = rewriteRule.rewrite(path, urlObj);
+    if (rewritten !== path) {
+      rewrites.push({
+        rule: platformKey,
+        description: rewriteRule.description ?? "",
+        from: path,
+        to: rewritten,
+      });
+    }
+    path = rewritten;
+  }
+
+  // Ensure path starts with / (except for homebrew and homebrew-api when it should be empty)
+  if (!path.startsWith("/") && path !== "") {
+    rewrites.push({
+      rule: "leading-slash",
+      description: "补全路径开头的 /",
+      from: path,
+      to: "/" + path,
+    });
+    path = "/" + path;
+  }
+
+  // Use platform key as-is, preserving dots and hyphens in the prefix
+  const xgetDomain = domain.replace(/\/$/, "");
+  return {
+    key: platformKey,
+    xgetUrl: `${xgetDomain}/${platformKey}${path}`,
+    trace: {
+      match: detection.match,
+      candidates: detection.candidates,
+      plausible: detection.plausible,
+      preferred: detection.preferred,
+      rewrites,
+      parts: { domain: xgetDomain, prefix: platformKey, path },
+    },
+  };
+}
+
+/**
+ * Detect the platform key of a URL by scoring every platform that matches
+ * Levels in order of confidence: exact hostname → path-based routing →
+ * subdomain → base domain. Ties keep the catalog order.
+ * @param {URL} urlObj - URL to analyze
+ * @param {Object.<string, string>} platforms - Platform key to base URL mappings
+ * @param {string} [preferredKey] - Key to pick when it is a plausible candidate
+ * @returns {?{key: string, match: string, candidates: Array<{key: string, match: string, confidence: number}>, plausible: string[], preferred: boolean}} Detected key, its match level and the scored candidates, null if not found
+ */
+function detectPlatformKey(urlObj, platforms, preferredKey) {
+  const { hostname, pathname } = urlObj;
+  const entries = Object.entries(platforms).flatMap(([key, baseUrl]) => {
+    try {
+      return [[key, new URL(baseUrl).hostname]];
+    } catch {
+      // Skip invalid base URLs
+      return [];
+    }
+  });
+
+  // Each platform keeps its most confident match
+  const candidates = new Map();
+  const addCandidate = (key, match) => {
+    const confidence = MATCH_CONFIDENCE[match];
+    if ((candidates.get(key)?.confidence ?? -1) < confidence) {
+      candidates.set(key, { key, match, confidence });
+    }
+  };
+
+  // Priority 1: Exact hostname match (hosts shared by several platforms are left to routing rules)
+  const sharedHost = hasPlatformRoutes(hostname);
+  for (const [key, baseHost] of entries) {
+    if (hostname === baseHost) {
+      addCandidate(key, sharedHost ? "shared-host" : "exact-host");
+    }
+  }
+
+  // Priority 2: Path-based routing rules for platforms sharing the same hostname
+  for (const route of findPlatformRoutes(hostname, pathname, platforms)) {
+    addCandidate(route.key, route.path ? "route" : "route-fallback");
+  }
+
+  // Priority 3: Subdomain match (e.g., registry.npmjs.org matches npmjs.org)
+  // Priority 4: Base domain match (e.g., different subdomains on same base domain)
+  const urlDomain = hostname.split(".").slice(-2).join(".");
+  for (const [key, baseHost] of entries) {
+    const baseDomain = baseHost.split(".").slice(-2).join(".");
+    if (hostname.endsWith("." + baseHost)) {
+      addCandidate(key, "subdomain");
+    } else if (baseDomain === urlDomain && baseDomain.includes(".")) {
+      addCandidate(key, "base-domain");
+    }
+  }
+
+  if (candidates.size === 0) {
+    return null;
+  }
+
+  // Array.prototype.sort is stable, so equal scores keep the catalog order
+  const sorted = [...candidates.values()].sort(
+    (a, b) => b.confidence - a.confidence
+  );
+  const plausible = sorted
+    .filter(
+      (candidate) =>
+        sorted[0].confidence - candidate.confidence <= PLAUSIBLE_MARGIN
+    )
+    .map((candidate) => candidate.key);
+
+  const preferred = plausible.length > 1 && plausible.includes(preferredKey);
+  const chosen = preferred ? candidates.get(preferredKey) : sorted[0];
+
+  return {
+    key: chosen.key,
+    match: toMatchLevel(chosen.match),
+    candidates: sorted.map((candidate) => ({
+      ...candidate,
+      match: toMatchLevel(candidate.match),
+    })),
+    plausible,
+    preferred,
+  };
+}
+
+/**
+ * Map a scored match kind to the priority level it belongs to
+ * @param {string} match - Key of MATCH_CONFIDENCE
+ * @returns {string} "exact-host", "route", "subdomain", "shared-host" or "base-domain"
+ */
+function toMatchLevel(match) {
+  return match === "route-fallback" ? "route" : match;
+}
@@ -0,0 +1,15 @@
+/**
+ * Count conversion history entries per platform key
+ * @param {Array<{key: string}>} entries - History entries
+ * @returns {Array<{key: string, count: number}>} Usage per platform, most used first
+ */
+export function countHistoryByPlatform(entries) {
+  const counts = new Map();
+  for (const entry of entries) {
+    counts.set(entry.key, (counts.get(entry.key) ?? 0) + 1);
+  }
+
+  return [...counts]
+    .map(([key, count]) => ({ key, count }))
+    .sort((a, b) => b.count - a.count || a.key.localeCompare(b.key));
+}
@@ -0,0 +1,19 @@
+/**
+ * Compare two platform catalogs
+ * @param {Object.<string, string>} previous - Catalog before the sync
+ * @param {Object.<string, string>} next - Catalog after the sync
+ * @returns {{added: string[], removed: string[], changed: string[]}} Sorted platform keys per kind of change
+ */
+export function diffPlatformCatalogs(previous, next) {
+  const added = Object.keys(next).filter((key) => !(key in previous));
+  const removed = Object.keys(previous).filter((key) => !(key in next));
+  const changed = Object.keys(next).filter(
+    (key) => key in previous && previous[key] !== next[key]
+  );
+
+  return {
+    added: added.sort(),
+    removed: removed.sort(),
+    changed: changed.sort(),
+  };
+}
@@ -0,0 +1,60 @@
+/**
+ * Linux distributions with a repository config generator, keyed by the
+ * platform key of their package mirror
+ * - releases: selectable releases, newest first
+ * - architectures: architectures served by the mirror behind the platform
+ *   (Ubuntu only mirrors amd64/i386 on archive.ubuntu.com, other
+ *   architectures live on ports.ubuntu.com)
+ * @type {Object.<string, {name: string, releases: Array<{id: string, label: string}>, architectures: string[]}>}
+ */
+export const DISTRO_RELEASES = {
+  debian: {
+    name: "Debian",
+    releases: [
+      { id: "trixie", label: "13 (trixie)" },
+      { id: "bookworm", label: "12 (bookworm)" },
+      { id: "bullseye", label: "11 (bullseye)" },
+    ],
+    architectures: ["amd64", "arm64", "armhf", "i386", "ppc64el", "s390x"],
+  },
+  ubuntu: {
+    name: "Ubuntu",
+    releases: [
+      { id: "noble", label: "24.04 LTS (noble)" },
+      { id: "jammy", label: "22.04 LTS (jammy)" },
+      { id: "focal", label: "20.04 LTS (focal)" },
+    ],
+    architectures: ["amd64", "i386"],
+  },
+  fedora: {
+    name: "Fedora",
+    releases: [
+      { id: "44", label: "44" },
+      { id: "43", label: "43" },
+      { id: "42", label: "42" },
+    ],
+    architectures: ["x86_64", "aarch64", "ppc64le", "s390x"],
+  },
+  rocky: {
+    name: "Rocky Linux",
+    releases: [
+      { id: "10", label: "10" },
+      { id: "9", label: "9" },
+      { id: "8", label: "8" },
+    ],
+    architectures: ["x86_64", "aarch64", "ppc64le", "s390x"],
+  },
+  opensuse: {
+    name: "openSUSE",
+    releases: [
+      { id: "tumbleweed", label: "Tumbleweed" },
+      { id: "15.6", label: "Leap 15.6" },
+    ],
+    architectures: ["x86_64", "aarch64"],
+  },
+  arch: {
+    name: "Arch Linux",
+    releases: [{ id: "rolling", label: "滚动更新" }],
+    architectures: ["x86_64"],
+  },
+};
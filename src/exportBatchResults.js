@@ -0,0 +1,62 @@
+/**
+ * Serialize batch conversion results for export
+ * @param {Array<{line: number, input: string, status: string, key: string|null, output: string|null}>} results - Batch conversion rows
+ * @param {string} format - Export format: "txt", "csv" or "json"
+ * @returns {{content: string, mimeType: string, extension: string}} Serialized file content
+ * @throws {Error} When the format is not supported
+ */
+export function exportBatchResults(results, format) {
+  switch (format) {
+    case "txt":
+      // Plain text keeps one line per input, failed lines are left unchanged
+      return {
+        content:
+          results.map((row) => row.output ?? row.input).join("\n") + "\n",
+        mimeType: "text/plain",
+        extension: "txt",
+      };
+
+    case "csv": {
+      const header = ["line", "input", "status", "platform", "output"];
+      const rows = results.map((row) => [
+        row.line,
+        row.input,
+        row.status,
+        row.key ?? "",
+        row.output ?? "",
+      ]);
+
+      return {
+        content:
+          [header, ...rows]
+            .map((cells) => cells.map(escapeCsvCell).join(","))
+            .join("\r\n") + "\r\n",
+        mimeType: "text/csv",
+        extension: "csv",
+      };
+    }
+
+    case "json":
+      return {
+        content: JSON.stringify(results, null, 2),
+        mimeType: "application/json",
+        extension: "json",
+      };
+
+    default:
+      throw new Error(`不支持的导出格式: ${format}`);
+  }
+}
+
+/**
+ * Escape a single CSV cell according to RFC 4180
+ * @param {string|number} value - Cell value
+ * @returns {string} Escaped cell
+ */
+function escapeCsvCell(value) {
+  const text = String(value);
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
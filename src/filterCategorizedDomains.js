@@ -0,0 +1,35 @@
+/**
+ * Filter categorized platforms by a search query and a category
+ * Every whitespace-separated term of the query must match the name, the
+ * domain or the key of a platform (case-insensitive). Categories left
+ * without platforms are dropped.
+ * @param {Object.<string, Array<{key: string, name: string, icon: string, domain: string}>>} categories - Platforms by category, see getCategorizedDomains
+ * @param {Object} [filter] - Active filter
+ * @param {string} [filter.query] - Search query
+ * @param {string} [filter.category] - Category to keep, all categories when empty
+ * @returns {Object.<string, Array<{key: string, name: string, icon: string, domain: string}>>} Matching platforms by category
+ */
+export function filterCategorizedDomains(
+  categories,
+  { query = "", category = "" } = {}
+) {
+  const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+
+  const filtered = {};
+  for (const [name, domains] of Object.entries(categories)) {
+    if (category && name !== category) {
+      continue;
+    }
+
+    const matches = domains.filter((domain) => {
+      const haystack =
+        `${domain.name}\n${domain.domain}\n${domain.key}`.toLowerCase();
+      return terms.every((term) => haystack.includes(term));
+    });
+    if (matches.length > 0) {
+      filtered[name] = matches;
+    }
+  }
+
+  return filtered;
+}
@@ -0,0 +1,30 @@
+/**
+ * Filter and order conversion history entries for display
+ * Pinned entries come first, then the newest entries
+ * @param {Array<{original: string, converted: string, key: string, domain: string, createdAt: number, pinned: boolean}>} entries - History entries
+ * @param {Object} [filters] - Filters to apply
+ * @param {string} [filters.query] - Case-insensitive text matched against the URLs, platform key and domain
+ * @param {string} [filters.key] - Only keep entries of this platform key
+ * @returns {Array<Object>} Matching entries in display order
+ */
+export function filterConversionHistory(
+  entries,
+  { query = "", key = "" } = {}
+) {
+  const needle = query.trim().toLowerCase();
+
+  return entries
+    .filter((entry) => !key || entry.key === key)
+    .filter(
+      (entry) =>
+        !needle ||
+        [entry.original, entry.converted, entry.key, entry.domain].some(
+          (field) => field?.toLowerCase().includes(needle)
+        )
+    )
+    .sort(
+      (a, b) =>
+        Number(Boolean(b.pinned)) - Number(Boolean(a.pinned)) ||
+        b.createdAt - a.createdAt
+    );
+}
@@ -0,0 +1,21 @@
+/**
+ * Metadata fields every platform record should provide
+ * @type {string[]}
+ */
+const METADATA_FIELDS = ["name", "category", "icon", "sample", "docs"];
+
+/**
+ * Report the metadata fields missing for each platform in the catalog
+ * Platforms added by a remote catalog without a record miss every field.
+ * @param {Object.<string, string>} platforms - Platform key to base URL mappings
+ * @param {Object.<string, Object>} metadata - Platform key to metadata record mappings
+ * @returns {Array<{key: string, fields: string[]}>} Platforms with at least one missing field, in catalog order
+ */
+export function findMissingPlatformMetadata(platforms, metadata) {
+  return Object.keys(platforms)
+    .map((key) => ({
+      key,
+      fields: METADATA_FIELDS.filter((field) => !metadata[key]?.[field]),
+    }))
+    .filter(({ fields }) => fields.length > 0);
+}
@@ -0,0 +1,529 @@
+/**
+ * Client setup details for the AI inference providers (ip-* platforms)
+ * - sdk: "openai" (OpenAI-compatible), "anthropic", "gemini" or "http"
+ * - basePath: path appended to the Xget prefix to form the SDK base URL
+ * - auth: "bearer", "x-api-key", "x-goog-api-key" or "key"
+ * - endpoint / body: request used for curl and plain HTTP examples
+ * @type {Object.<string, {sdk: string, basePath: string, auth: string, keyEnv: string, model: string, endpoint?: string, body?: Object}>}
+ */
+const AI_PROVIDERS = {
+  "ip-openai": {
+    sdk: "openai",
+    basePath: "/v1",
+    auth: "bearer",
+    keyEnv: "OPENAI_API_KEY",
+    model: "gpt-4o-mini",
+  },
+  "ip-anthropic": {
+    sdk: "anthropic",
+    basePath: "",
+    auth: "x-api-key",
+    keyEnv: "ANTHROPIC_API_KEY",
+    model: "claude-sonnet-4-5",
+  },
+  "ip-gemini": {
+    sdk: "gemini",
+    basePath: "",
+    auth: "x-goog-api-key",
+    keyEnv: "GEMINI_API_KEY",
+    model: "gemini-2.5-flash",
+  },
+  "ip-vertexai": {
+    sdk: "openai",
+    basePath: "/v1/projects/PROJECT_ID/locations/global/endpoints/openapi",
+    auth: "bearer",
+    keyEnv: "VERTEX_ACCESS_TOKEN",
+    model: "google/gemini-2.5-flash",
+  },
+  "ip-cohere": {
+    sdk: "openai",
+    basePath: "/compatibility/v1",
+    auth: "bearer",
+    keyEnv: "COHERE_API_KEY",
+    model: "command-a-03-2025",
+  },
+  "ip-mistralai": {
+    sdk: "openai",
+    basePath: "/v1",
+    auth: "bearer",
+    keyEnv: "MISTRAL_API_KEY",
+    model: "mistral-small-latest",
+  },
+  "ip-xai": {
+    sdk: "openai",
+    basePath: "/v1",
+    auth: "bearer",
+    keyEnv: "XAI_API_KEY",
+    model: "grok-3-mini",
+  },
+  "ip-githubmodels": {
+    sdk: "openai",
+    basePath: "/inference",
+    auth: "bearer",
+    keyEnv: "GITHUB_TOKEN",
+    model: "openai/gpt-4o-mini",
+  },
+  "ip-nvidiaapi": {
+    sdk: "openai",
+    basePath: "/v1",
+    auth: "bearer",
+    keyEnv: "NVIDIA_API_KEY",
+    model: "meta/llama-3.1-8b-instruct",
+  },
+  "ip-perplexity": {
+    sdk: "openai",
+    basePath: "",
+    auth: "bearer",
+    keyEnv: "PERPLEXITY_API_KEY",
+    model: "sonar",
+  },
+  "ip-braintrust": {
+    sdk: "openai",
+    basePath: "/v1/proxy",
+    auth: "bearer",
+    keyEnv: "BRAINTRUST_API_KEY",
+    model: "gpt-4o-mini",
+  },
+  "ip-groq": {
+    sdk: "openai",
+    basePath: "/openai/v1",
+    auth: "bearer",
+    keyEnv: "GROQ_API_KEY",
+    model: "llama-3.1-8b-instant",
+  },
+  "ip-cerebras": {
+    sdk: "openai",
+    basePath: "/v1",
+    auth: "bearer",
+    keyEnv: "CEREBRAS_API_KEY",
+    model: "llama3.1-8b",
+  },
+  "ip-sambanova": {
+    sdk: "openai",
+    basePath: "/v1",
+    auth: "bearer",
+    keyEnv: "SAMBANOVA_API_KEY",
+    model: "Meta-Llama-3.1-8B-Instruct",
+  },
+  "ip-siray": {
+    sdk: "openai",
+    basePath: "/v1",
+    auth: "bearer",
+    keyEnv: "SIRAY_API_KEY",
+    model: "MODEL_NAME",
+  },
+  "ip-huggingface": {
+    sdk: "openai",
+    basePath: "/v1",
+    auth: "bearer",
+    keyEnv: "HF_TOKEN",
+    model: "meta-llama/Llama-3.1-8B-Instruct",
+  },
+  "ip-together": {
+    sdk: "openai",
+    basePath: "/v1",
+    auth: "bearer",
+    keyEnv: "TOGETHER_API_KEY",
+    model: "meta-llama/Meta-Llama-3.1-8B-Instruct-Turbo",
+  },
+  "ip-replicate": {
+    sdk: "http",
+    basePath: "/v1",
+    auth: "bearer",
+    keyEnv: "REPLICATE_API_TOKEN",
+    model: "black-forest-labs/flux-schnell",
+    endpoint: "/models/black-forest-labs/flux-schnell/predictions",
+    body: { input: { prompt: "Hello" } },
+  },
+  "ip-fireworks": {
+    sdk: "openai",
+    basePath: "/inference/v1",
+    auth: "bearer",
+    keyEnv: "FIREWORKS_API_KEY",
+    model: "accounts/fireworks/models/llama-v3p1-8b-instruct",
+  },
+  "ip-nebius": {
+    sdk: "openai",
+    basePath: "/v1",
+    auth: "bearer",
+    keyEnv: "NEBIUS_API_KEY",
+    model: "meta-llama/Meta-Llama-3.1-8B-Instruct",
+  },
+  "ip-jina": {
+    sdk: "http",
+    basePath: "/v1",
+    auth: "bearer",
+    keyEnv: "JINA_API_KEY",
+    model: "jina-embeddings-v3",
+    endpoint: "/embeddings",
+    body: { model: "jina-embeddings-v3", input: ["Hello"] },
+  },
+  "ip-voyageai": {
+    sdk: "http",
+    basePath: "/v1",
+    auth: "bearer",
+    keyEnv: "VOYAGE_API_KEY",
+    model: "voyage-3",
+    endpoint: "/embeddings",
+    body: { model: "voyage-3", input: ["Hello"] },
+  },
+  "ip-falai": {
+    sdk: "http",
+    basePath: "",
+    auth: "key",
+    keyEnv: "FAL_KEY",
+    model: "fal-ai/flux/schnell",
+    endpoint: "/fal-ai/flux/schnell",
+    body: { prompt: "Hello" },
+  },
+  "ip-novita": {
+    sdk: "openai",
+    basePath: "/v3/openai",
+    auth: "bearer",
+    keyEnv: "NOVITA_API_KEY",
+    model: "meta-llama/llama-3.1-8b-instruct",
+  },
+  "ip-burncloud": {
+    sdk: "openai",
+    basePath: "/v1",
+    auth: "bearer",
+    keyEnv: "BURNCLOUD_API_KEY",
+    model: "gpt-4o-mini",
+  },
+  "ip-openrouter": {
+    sdk: "openai",
+    basePath: "/api/v1",
+    auth: "bearer",
+    keyEnv: "OPENROUTER_API_KEY",
+    model: "openai/gpt-4o-mini",
+  },
+  "ip-poe": {
+    sdk: "openai",
+    basePath: "/v1",
+    auth: "bearer",
+    keyEnv: "POE_API_KEY",
+    model: "GPT-4o-Mini",
+  },
+  "ip-featherlessai": {
+    sdk: "openai",
+    basePath: "/v1",
+    auth: "bearer",
+    keyEnv: "FEATHERLESS_API_KEY",
+    model: "meta-llama/Meta-Llama-3.1-8B-Instruct",
+  },
+  "ip-hyperbolic": {
+    sdk: "openai",
+    basePath: "/v1",
+    auth: "bearer",
+    keyEnv: "HYPERBOLIC_API_KEY",
+    model: "meta-llama/Meta-Llama-3.1-8B-Instruct",
+  },
+};
+
+/**
+ * Placeholder written into environment exports instead of a real key
+ * @type {string}
+ */
+const API_KEY_PLACEHOLDER = "<YOUR_API_KEY>";
+
+/**
+ * Resolve the provider details for a platform key
+ * Unknown ip-* keys (e.g. newly added upstream) are treated as OpenAI-compatible
+ * @param {string} key - Platform key
+ * @returns {Object} Provider details with endpoint and body filled in
+ */
+function resolveProvider(key) {
+  const fallbackEnv =
+    key
+      .replace(/^ip-/, "")
+      .replace(/[^a-z0-9]/gi, "_")
+      .toUpperCase() + "_API_KEY";
+  const provider = AI_PROVIDERS[key] ?? {
+    sdk: "openai",
+    basePath: "/v1",
+    auth: "bearer",
+    keyEnv: fallbackEnv,
+    model: "MODEL_NAME",
+  };
+
+  const defaults = {
+    openai: {
+      endpoint: "/chat/completions",
+      body: {
+        model: provider.model,
+        messages: [{ role: "user", content: "Hello" }],
+      },
+    },
+    anthropic: {
+      endpoint: "/v1/messages",
+      body: {
+        model: provider.model,
+        max_tokens: 1024,
+        messages: [{ role: "user", content: "Hello" }],
+      },
+    },
+    gemini: {
+      endpoint: `/v1beta/models/${provider.model}:generateContent`,
+      body: { contents: [{ parts: [{ text: "Hello" }] }] },
+    },
+  };
+
+  return { ...defaults[provider.sdk], ...provider };
+}
+
+/**
+ * Build the HTTP auth headers for a provider
+ * @param {string} auth - Auth scheme
+ * @param {string} keyExpression - Expression that evaluates to the key
+ * @returns {Array<[string, string]>} Header name/value pairs
+ */
+function buildAuthHeaders(auth, keyExpression) {
+  switch (auth) {
+    case "x-api-key":
+      return [
+        ["x-api-key", keyExpression],
+        ["anthropic-version", "2023-06-01"],
+      ];
+    case "x-goog-api-key":
+      return [["x-goog-api-key", keyExpression]];
+    case "key":
+      return [["Authorization", `Key ${keyExpression}`]];
+    default:
+      return [["Authorization", `Bearer ${keyExpression}`]];
+  }
+}
+
+/**
+ * Generate SDK, curl and environment setup for an AI inference provider
+ * routed through Xget
+ * @param {string} xgetDomain - Xget domain without trailing slash
+ * @param {string} key - ip-* platform key
+ * @returns {Array<{id: string, tool: string, filename: string, content: string}>} Generated snippets, empty for non ip-* keys
+ */
+export function generateAiProviderSnippets(xgetDomain, key) {
+  if (!key.startsWith("ip-")) {
+    return [];
+  }
+
+  const provider = resolveProvider(key);
+  const baseUrl = `${xgetDomain}/${key}${provider.basePath}`;
+  const baseEnv =
+    provider.keyEnv.replace(/_(API_KEY|TOKEN|KEY)$/, "") + "_BASE_URL";
+  const requestUrl = baseUrl + provider.endpoint;
+  const bodyJson = JSON.stringify(provider.body);
+
+  const curlHeaders = buildAuthHeaders(provider.auth, `$${provider.keyEnv}`)
+    .map(([name, value]) => `  -H "${name}: ${value}" \\`)
+    .join("\n");
+
+  return [
+    {
+      id: "env",
+      tool: "环境变量",
+      filename: "shell",
+      content: [
+        `export ${provider.keyEnv}="${API_KEY_PLACEHOLDER}"`,
+        `export ${baseEnv}="${baseUrl}"`,
+        "",
+      ].join("\n"),
+    },
+    {
+      id: "curl",
+      tool: "curl",
+      filename: "shell",
+      content: [
+        `curl "${requestUrl}" \\`,
+        '  -H "Content-Type: application/json" \\',
+        curlHeaders,
+        `  -d '${bodyJson}'`,
+        "",
+      ].join("\n"),
+    },
+    {
+      id: "python",
+      tool: "Python",
+      filename: "main.py",
+      content: buildPythonSnippet(provider, baseUrl, requestUrl),
+    },
+    {
+      id: "javascript",
+      tool: "JavaScript",
+      filename: "main.mjs",
+      content: buildJavaScriptSnippet(provider, baseUrl, requestUrl),
+    },
+  ];
+}
+
+/**
+ * Build the Python client setup for a provider
+ * @param {Object} provider - Resolved provider details
+ * @param {string} baseUrl - SDK base URL through Xget
+ * @param {string} requestUrl - Full request URL for plain HTTP clients
+ * @returns {string} Python source
+ */
+function buildPythonSnippet(provider, baseUrl, requestUrl) {
+  const keyExpression = `os.environ["${provider.keyEnv}"]`;
+
+  switch (provider.sdk) {
+    case "openai":
+      return [
+        "import os",
+        "from openai import OpenAI",
+        "",
+        "client = OpenAI(",
+        `    base_url="${baseUrl}",`,
+        `    api_key=${keyExpression},`,
+        ")",
+        "",
+        "response = client.chat.completions.create(",
+        `    model="${provider.model}",`,
+        '    messages=[{"role": "user", "content": "Hello"}],',
+        ")",
+        "print(response.choices[0].message.content)",
+        "",
+      ].join("\n");
+
+    case "anthropic":
+      return [
+        "import os",
+        "from anthropic import Anthropic",
+        "",
+        "client = Anthropic(",
+        `    base_url="${baseUrl}",`,
+        `    api_key=${keyExpression},`,
+        ")",
+        "",
+        "message = client.messages.create(",
+        `    model="${provider.model}",`,
+        "    max_tokens=1024,",
+        '    messages=[{"role": "user", "content": "Hello"}],',
+        ")",
+        "print(message.content[0].text)",
+        "",
+      ].join("\n");
+
+    case "gemini":
+      return [
+        "import os",
+        "from google import genai",
+        "from google.genai import types",
+        "",
+        "client = genai.Client(",
+        `    api_key=${keyExpression},`,
+        `    http_options=types.HttpOptions(base_url="${baseUrl}"),`,
+        ")",
+        "",
+        "response = client.models.generate_content(",
+        `    model="${provider.model}",`,
+        '    contents="Hello",',
+        ")",
+        "print(response.text)",
+        "",
+      ].join("\n");
+
+    default: {
+      const headers = buildAuthHeaders(provider.auth, "{key}")
+        .map(([name, value]) => `        "${name}": f"${value}",`)
+        .join("\n");
+      return [
+        "import os",
+        "import requests",
+        "",
+        `key = ${keyExpression}`,
+        "response = requests.post(",
+        `    "${requestUrl}",`,
+        "    headers={",
+        headers,
+        "    },",
+        `    json=${JSON.stringify(provider.body)},`,
+        ")",
+        "print(response.json())",
+        "",
+      ].join("\n");
+    }
+  }
+}
+
+/**
+ * Build the JavaScript client setup for a provider
+ * @param {Object} provider - Resolved provider details
+ * @param {string} baseUrl - SDK base URL through Xget
+ * @param {string} requestUrl - Full request URL for plain HTTP clients
+ * @returns {string} JavaScript source
+ */
+function buildJavaScriptSnippet(provider, baseUrl, requestUrl) {
+  const keyExpression = `process.env.${provider.keyEnv}`;
+
+  switch (provider.sdk) {
+    case "openai":
+      return [
+        'import OpenAI from "openai";',
+        "",
+        "const client = new OpenAI({",
+        `  baseURL: "${baseUrl}",`,
+        `  apiKey: ${keyExpression},`,
+        "});",
+        "",
+        "const response = await client.chat.completions.create({",
+        `  model: "${provider.model}",`,
+        '  messages: [{ role: "user", content: "Hello" }],',
+        "});",
+        "console.log(response.choices[0].message.content);",
+        "",
+      ].join("\n");
+
+    case "anthropic":
+      return [
+        'import Anthropic from "@anthropic-ai/sdk";',
+        "",
+        "const client = new Anthropic({",
+        `  baseURL: "${baseUrl}",`,
+        `  apiKey: ${keyExpression},`,
+        "});",
+        "",
+        "const message = await client.messages.create({",
+        `  model: "${provider.model}",`,
+        "  max_tokens: 1024,",
+        '  messages: [{ role: "user", content: "Hello" }],',
+        "});",
+        "console.log(message.content[0].text);",
+        "",
+      ].join("\n");
+
+    case "gemini":
+      return [
+        'import { GoogleGenAI } from "@google/genai";',
+        "",
+        "const client = new GoogleGenAI({",
+        `  apiKey: ${keyExpression},`,
+        `  httpOptions: { baseUrl: "${baseUrl}" },`,
+        "});",
+        "",
+        "const response = await client.models.generateContent({",
+        `  model: "${provider.model}",`,
+        '  contents: "Hello",',
+        "});",
+        "console.log(response.text);",
+        "",
+      ].join("\n");
+
+    default: {
+      const headers = buildAuthHeaders(provider.auth, "${key}")
+        .map(([name, value]) => `    "${name}": \`${value}\`,`)
+        .join("\n");
+      return [
+        `const key = ${keyExpression};`,
+        `const response = await fetch("${requestUrl}", {`,
+        '  method: "POST",',
+        "  headers: {",
+        '    "Content-Type": "application/json",',
+        headers,
+        "  },",
+        `  body: JSON.stringify(${JSON.stringify(provider.body)}),`,
+        "});",
+        "console.log(await response.json());",
+        "",
+      ].join("\n");
+    }
+  }
+}
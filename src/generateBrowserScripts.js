@@ -0,0 +1,210 @@
+/**
+ * Platforms with pages people browse to download from (code hosting, package
+ * indexes, mirror listings), the userscript only runs on their hosts
+ * API endpoints, container registries and raw file hosts are never opened
+ * in a browser, so they are left out to keep the requested permissions small
+ * @type {string[]}
+ */
+const BROWSABLE_PLATFORMS = [
+  "gh",
+  "gist",
+  "gl",
+  "gitea",
+  "codeberg",
+  "sf",
+  "aosp",
+  "hf",
+  "civitai",
+  "pypi",
+  "conda",
+  "conda-community",
+  "maven",
+  "apache",
+  "gradle",
+  "rubygems",
+  "cran",
+  "cpan",
+  "ctan",
+  "crates",
+  "debian",
+  "ubuntu",
+  "fedora",
+  "rocky",
+  "opensuse",
+  "arch",
+  "arxiv",
+  "fdroid",
+  "jenkins",
+];
+
+/**
+ * Page-side helpers shared by the bookmarklets and the userscript
+ * They rely on `convert` and `classifyGitHubUrl` from the embedded modules
+ * @type {string}
+ */
+const PAGE_HELPERS = `
+function toXget(href) {
+  if (href.startsWith(XGET_DOMAIN + "/")) {
+    return null;
+  }
+  const converted = convert(href, {
+    domain: XGET_DOMAIN,
+    platforms: XGET_PLATFORMS,
+  });
+  return converted ? converted.xgetUrl : null;
+}
+
+function isDownloadLink(link, url) {
+  if (link.hasAttribute("download")) {
+    return true;
+  }
+  if (url.hostname === "github.com") {
+    return classifyGitHubUrl(url.pathname + url.search).downloadable;
+  }
+  return /\\.[a-z0-9]{1,10}$/i.test(url.pathname) && !/\\.html?$/i.test(url.pathname);
+}
+
+function rewriteDownloadLinks(root) {
+  let count = 0;
+  for (const link of root.querySelectorAll("a[href]")) {
+    if (link.dataset.xgetOriginal || !/^https?:$/.test(link.protocol)) {
+      continue;
+    }
+    const url = new URL(link.href);
+    const xgetUrl = isDownloadLink(link, url) ? toXget(url.href) : null;
+    if (xgetUrl) {
+      link.dataset.xgetOriginal = url.href;
+      link.href = xgetUrl;
+      link.title = "Xget: " + xgetUrl;
+      count++;
+    }
+  }
+  return count;
+}
+
+function openInXget() {
+  const xgetUrl = toXget(location.href);
+  if (xgetUrl) {
+    window.open(xgetUrl, "_blank", "noopener");
+  } else {
+    alert("Xget：当前页面不是受支持平台的链接");
+  }
+}
+`;
+
+/**
+ * Turn module sources into plain script code: imports are dropped (all
+ * modules are concatenated) and `export` keywords removed
+ * @param {string} source - ES module source
+ * @returns {string} Script source
+ */
+function toScriptSource(source) {
+  return source
+    .replace(/^import\s[\s\S]*?\sfrom\s+["'][^"']+["'];?[ \t]*\n/gm, "")
+    .replace(/^export\s+/gm, "");
+}
+
+/**
+ * Strip doc comments, full-line comments and indentation to keep
+ * bookmarklets short. Line breaks are kept so trailing comments stay harmless.
+ * @param {string} source - Script source
+ * @returns {string} Compacted source
+ */
+function compactSource(source) {
+  const lines = [];
+  let inDocComment = false;
+
+  for (const line of source.split("\n")) {
+    const trimmed = line.trim();
+    if (inDocComment) {
+      inDocComment = !trimmed.endsWith("*/");
+      continue;
+    }
+    if (trimmed.startsWith("/**") || trimmed.startsWith("/*")) {
+      inDocComment = !trimmed.endsWith("*/");
+      continue;
+    }
+    if (trimmed && !trimmed.startsWith("//")) {
+      lines.push(trimmed);
+    }
+  }
+
+  return lines.join("\n");
+}
+
+/**
+ * Generate bookmarklets and a userscript that convert links through Xget
+ * on any page, using the same conversion modules as the converter
+ * - open bookmarklet: opens the current page's Xget URL in a new tab
+ * - rewrite bookmarklet: rewrites every supported download link on the page
+ * - userscript (Tampermonkey/Violentmonkey): rewrites download links on the
+ *   browsable platform hosts automatically and adds a menu command to open
+ *   the page
+ * @param {Object} options - Generation options
+ * @param {string} options.xgetDomain - Xget domain without trailing slash
+ * @param {Object.<string, string>} options.platforms - Platform key to base URL mappings
+ * @param {string[]} options.moduleSources - Sources of the conversion modules, dependencies first
+ * @returns {{openBookmarklet: string, rewriteBookmarklet: string, userscript: string}} Generated javascript: URLs and userscript
+ */
+export function generateBrowserScripts({
+  xgetDomain,
+  platforms,
+  moduleSources,
+}) {
+  const runtime = [
+    `const XGET_DOMAIN = ${JSON.stringify(xgetDomain)};`,
+    `const XGET_PLATFORMS = ${JSON.stringify(platforms)};`,
+    ...moduleSources.map(toScriptSource),
+    PAGE_HELPERS,
+  ].join("\n");
+
+  const bookmarklet = (action) =>
+    "javascript:" +
+    encodeURIComponent(`(() => {\n${compactSource(runtime)}\n${action}\n})();`);
+
+  const hosts = new Set();
+  for (const key of BROWSABLE_PLATFORMS) {
+    try {
+      hosts.add(new URL(platforms[key]).hostname);
+    } catch {
+      // Skip platforms missing from the catalog and invalid base URLs
+    }
+  }
+
+  const userscript = [
+    "// ==UserScript==",
+    "// @name         Xget 下载加速",
+    `// @namespace    ${xgetDomain}`,
+    "// @version      1.0.0",
+    `// @description  将受支持平台的下载链接改写为 ${xgetDomain} 上的 Xget 链接`,
+    ...[...hosts].sort().map((host) => `// @match        *://${host}/*`),
+    "// @grant        GM_registerMenuCommand",
+    "// @run-at       document-idle",
+    "// ==/UserScript==",
+    "",
+    "(() => {",
+    runtime,
+    "rewriteDownloadLinks(document);",
+    "",
+    "// Single page apps (GitHub, Hugging Face) replace content without page loads",
+    "let rewriteTimer = null;",
+    "new MutationObserver(() => {",
+    "  clearTimeout(rewriteTimer);",
+    "  rewriteTimer = setTimeout(() => rewriteDownloadLinks(document), 300);",
+    "}).observe(document.body, { childList: true, subtree: true });",
+    "",
+    'if (typeof GM_registerMenuCommand === "function") {',
+    '  GM_registerMenuCommand("通过 Xget 打开当前页面", openInXget);',
+    "}",
+    "})();",
+    "",
+  ].join("\n");
+
+  return {
+    openBookmarklet: bookmarklet("openInXget();"),
+    rewriteBookmarklet: bookmarklet(
+      'alert("Xget：已改写 " + rewriteDownloadLinks(document) + " 个下载链接");'
+    ),
+    userscript,
+  };
+}
@@ -0,0 +1,379 @@
+/**
+ * Repository config templates per distribution
+ * - files: builds the config files for a release and architecture from the
+ *   Xget prefix URL of the distribution's platform
+ * - replaces: existing files (shell globs) the replacement script backs up
+ *   and removes before writing the new ones
+ * - refresh: command that reloads the package index afterwards
+ * @type {Object.<string, {files: function(string, string, string): Array<{id: string, tool: string, filename: string, content: string, install?: boolean}>, replaces: string[], refresh: string}>}
+ */
+const DISTRO_TEMPLATES = {
+  debian: {
+    files: (prefix, release, arch) => {
+      // non-free-firmware was split out of non-free in bookworm
+      const components =
+        release === "bullseye"
+          ? "main contrib non-free"
+          : "main contrib non-free non-free-firmware";
+      return aptFiles({
+        distro: "debian",
+        arch,
+        components,
+        keyring: "/usr/share/keyrings/debian-archive-keyring.gpg",
+        sources: [
+          {
+            uri: `${prefix}/debian`,
+            suites: [release, `${release}-updates`],
+          },
+          {
+            uri: `${prefix}/debian-security`,
+            suites: [`${release}-security`],
+          },
+        ],
+      });
+    },
+    replaces: [
+      "/etc/apt/sources.list",
+      "/etc/apt/sources.list.d/debian.sources",
+    ],
+    refresh: "apt update",
+  },
+
+  ubuntu: {
+    files: (prefix, release, arch) =>
+      aptFiles({
+        distro: "ubuntu",
+        arch,
+        components: "main restricted universe multiverse",
+        keyring: "/usr/share/keyrings/ubuntu-archive-keyring.gpg",
+        sources: [
+          {
+            uri: `${prefix}/ubuntu`,
+            suites: ["", "-updates", "-backports", "-security"].map(
+              (pocket) => release + pocket
+            ),
+          },
+        ],
+      }),
+    replaces: [
+      "/etc/apt/sources.list",
+      "/etc/apt/sources.list.d/ubuntu.sources",
+    ],
+    refresh: "apt update",
+  },
+
+  fedora: {
+    files: (prefix, release, arch) => [
+      {
+        id: "repo",
+        tool: "dnf",
+        filename: "/etc/yum.repos.d/xget-fedora.repo",
+        install: true,
+        content: repoFile(
+          [
+            {
+              id: "fedora",
+              name: `Fedora ${release} - ${arch}`,
+              baseurl: `${prefix}/pub/fedora/linux/releases/${release}/Everything/${arch}/os/`,
+            },
+            {
+              id: "updates",
+              name: `Fedora ${release} - ${arch} - Updates`,
+              baseurl: `${prefix}/pub/fedora/linux/updates/${release}/Everything/${arch}/`,
+            },
+          ],
+          {
+            gpgkey: `file:///etc/pki/rpm-gpg/RPM-GPG-KEY-fedora-${release}-${arch}`,
+          }
+        ),
+      },
+    ],
+    replaces: [
+      "/etc/yum.repos.d/fedora.repo",
+      "/etc/yum.repos.d/fedora-updates.repo",
+      "/etc/yum.repos.d/fedora-updates-testing.repo",
+    ],
+    refresh: "dnf makecache",
+  },
+
+  rocky: {
+    files: (prefix, release, arch) => {
+      const base = `${prefix}/pub/rocky/${release}`;
+      // Rocky 8 calls the CodeReady Builder repository PowerTools
+      const builder = release === "8" ? "PowerTools" : "CRB";
+      return [
+        {
+          id: "repo",
+          tool: "dnf",
+          filename: "/etc/yum.repos.d/xget-rocky.repo",
+          install: true,
+          content: repoFile(
+            [
+              ["baseos", "BaseOS"],
+              ["appstream", "AppStream"],
+              [builder.toLowerCase(), builder],
+              ["extras", "extras"],
+            ].map(([id, directory]) => ({
+              id,
+              name: `Rocky Linux ${release} - ${directory}`,
+              baseurl: `${base}/${directory}/${arch}/os/`,
+              // CRB/PowerTools is disabled by default like in the stock files
+              enabled: id === builder.toLowerCase() ? 0 : 1,
+            })),
+            {
+              gpgkey: `file:///etc/pki/rpm-gpg/${
+                release === "8"
+                  ? "RPM-GPG-KEY-rockyofficial"
+                  : `RPM-GPG-KEY-Rocky-${release}`
+              }`,
+            }
+          ),
+        },
+      ];
+    },
+    replaces: ["/etc/yum.repos.d/rocky*.repo", "/etc/yum.repos.d/Rocky-*.repo"],
+    refresh: "dnf makecache",
+  },
+
+  opensuse: {
+    files: (prefix, release, arch) => {
+      const repositories =
+        release === "tumbleweed"
+          ? [
+              {
+                id: "repo-oss",
+                path:
+                  arch === "x86_64"
+                    ? "tumbleweed/repo/oss/"
+                    : `ports/${arch}/tumbleweed/repo/oss/`,
+              },
+              {
+                id: "repo-non-oss",
+                path: "tumbleweed/repo/non-oss/",
+                x86Only: true,
+              },
+              {
+                id: "repo-update",
+                path:
+                  arch === "x86_64"
+                    ? "update/tumbleweed/"
+                    : `ports/${arch}/update/tumbleweed/`,
+              },
+            ]
+          : [
+              {
+                id: "repo-oss",
+                path: `distribution/leap/${release}/repo/oss/`,
+              },
+              {
+                id: "repo-non-oss",
+                path: `distribution/leap/${release}/repo/non-oss/`,
+                x86Only: true,
+              },
+              { id: "repo-update", path: `update/leap/${release}/oss/` },
+              {
+                id: "repo-update-non-oss",
+                path: `update/leap/${release}/non-oss/`,
+                x86Only: true,
+              },
+              { id: "repo-sle-update", path: `update/leap/${release}/sle/` },
+              {
+                id: "repo-backports-update",
+                path: `update/leap/${release}/backports/`,
+              },
+            ];
+      const label =
+        release === "tumbleweed"
+          ? "openSUSE-Tumbleweed"
+          : `openSUSE-Leap-${release}`;
+
+      return [
+        {
+          id: "repo",
+          tool: "zypper",
+          filename: "/etc/zypp/repos.d/xget-opensuse.repo",
+          install: true,
+          content: repoFile(
+            repositories
+              // non-oss is only published for x86_64
+              .filter((repository) => arch === "x86_64" || !repository.x86Only)
+              .map((repository) => ({
+                id: repository.id,
+                name: `${label}-${repository.id.replace(/^repo-/, "")}`,
+                baseurl: `${prefix}/${repository.path}`,
+                autorefresh: 1,
+              })),
+            { type: "rpm-md", keeppackages: 0 }
+          ),
+        },
+      ];
+    },
+    replaces: [
+      "/etc/zypp/repos.d/repo-*.repo",
+      "/etc/zypp/repos.d/openSUSE*.repo",
+    ],
+    refresh: "zypper refresh",
+  },
+
+  arch: {
+    files: (prefix, release, arch) => [
+      {
+        id: "mirrorlist",
+        tool: "pacman",
+        filename: "/etc/pacman.d/mirrorlist",
+        install: true,
+        content: [
+          `## Xget mirror (${arch})`,
+          // pacman expands $repo and $arch itself
+          `Server = ${prefix}/$repo/os/$arch`,
+          "",
+        ].join("\n"),
+      },
+    ],
+    replaces: ["/etc/pacman.d/mirrorlist"],
+    refresh: "pacman -Syy",
+  },
+};
+
+/**
+ * Generate the repository config of a Linux distribution for an Xget domain
+ * Returns the config files for the chosen release and architecture and a
+ * one-shot shell script that backs up the existing repository files and
+ * replaces them. Debian and Ubuntu get both the classic sources.list and the
+ * deb822 .sources format, the script installs the deb822 one.
+ * @param {string} xgetDomain - Xget domain without trailing slash
+ * @param {Object.<string, string>} platforms - Platform key to base URL mappings
+ * @param {Object} options - Target system
+ * @param {string} options.distro - Platform key of the distribution (debian, ubuntu, fedora, rocky, opensuse, arch)
+ * @param {string} options.release - Release id from DISTRO_RELEASES
+ * @param {string} options.arch - Architecture name as used by the distribution
+ * @returns {Array<{id: string, tool: string, filename: string, keys: string[], content: string}>} Config files followed by the replacement script, empty when the distribution is not in the catalog
+ */
+export function generateDistroRepoConfigs(
+  xgetDomain,
+  platforms,
+  { distro, release, arch }
+) {
+  const template = DISTRO_TEMPLATES[distro];
+  if (!template || !(distro in platforms)) {
+    return [];
+  }
+
+  const files = template.files(`${xgetDomain}/${distro}`, release, arch);
+  const installed = files.filter((file) => file.install);
+
+  const script = [
+    "#!/bin/sh",
+    `# 将 ${distro} ${release} (${arch}) 的软件源替换为 ${xgetDomain}`,
+    "set -e",
+    "",
+    'if [ "$(id -u)" -ne 0 ]; then',
+    '  echo "请使用 root 运行此脚本" >&2',
+    "  exit 1",
+    "fi",
+    "",
+    'BACKUP_DIR="/etc/xget-backup/$(date +%Y%m%d%H%M%S)"',
+    'mkdir -p "$BACKUP_DIR"',
+    "",
+    `for file in ${template.replaces.join(" ")}; do`,
+    '  [ -e "$file" ] || continue',
+    '  mv "$file" "$BACKUP_DIR/"',
+    '  echo "已备份 $file"',
+    "done",
+    "",
+    ...installed.flatMap((file) => [
+      `cat > ${file.filename} <<'XGET_EOF'`,
+      file.content.replace(/\n$/, ""),
+      "XGET_EOF",
+      `echo "已写入 ${file.filename}"`,
+      "",
+    ]),
+    `echo "原文件已备份到 $BACKUP_DIR，运行 ${template.refresh} 刷新软件源"`,
+    "",
+  ].join("\n");
+
+  return [
+    ...files.map(({ id, tool, filename, content }) => ({
+      id: `${distro}-${id}`,
+      tool,
+      filename,
+      keys: [distro],
+      content,
+    })),
+    {
+      id: `${distro}-script`,
+      tool: "一键替换脚本",
+      filename: `xget-${distro}-repos.sh`,
+      keys: [distro],
+      content: script,
+    },
+  ];
+}
+
+/**
+ * Build the sources.list and deb822 files of an apt based distribution
+ * @param {Object} options - Repository layout
+ * @param {string} options.distro - debian or ubuntu
+ * @param {string} options.arch - Debian architecture name
+ * @param {string} options.components - Space separated components
+ * @param {string} options.keyring - Archive keyring the deb822 file is signed by
+ * @param {Array<{uri: string, suites: string[]}>} options.sources - Archive URIs and their suites
+ * @returns {Array<{id: string, tool: string, filename: string, content: string, install?: boolean}>} Config files
+ */
+function aptFiles({ distro, arch, components, keyring, sources }) {
+  const sourcesList = sources
+    .flatMap(({ uri, suites }) =>
+      suites.map((suite) => `deb [arch=${arch}] ${uri} ${suite} ${components}`)
+    )
+    .join("\n");
+
+  const deb822 = sources
+    .map(({ uri, suites }) =>
+      [
+        "Types: deb",
+        `URIs: ${uri}`,
+        `Suites: ${suites.join(" ")}`,
+        `Components: ${components}`,
+        `Architectures: ${arch}`,
+        `Signed-By: ${keyring}`,
+      ].join("\n")
+    )
+    .join("\n\n");
+
+  return [
+    {
+      id: "sources-list",
+      tool: "apt（sources.list）",
+      filename: "/etc/apt/sources.list",
+      content: `${sourcesList}\n`,
+    },
+    {
+      id: "deb822",
+      tool: "apt（deb822）",
+      filename: `/etc/apt/sources.list.d/${distro}.sources`,
+      install: true,
+      content: `${deb822}\n`,
+    },
+  ];
+}
+
+/**
+ * Build an INI style .repo file for dnf or zypper
+ * @param {Array<{id: string, name: string, baseurl: string, enabled?: number}>} repositories - Repository sections, extra keys are written as-is
+ * @param {Object.<string, (string|number)>} shared - Keys added to every section
+ * @returns {string} .repo file content
+ */
+function repoFile(repositories, shared) {
+  return (
+    repositories
+      .map(({ id, enabled = 1, ...fields }) =>
+        [
+          `[${id}]`,
+          ...Object.entries({ ...fields, enabled, gpgcheck: 1, ...shared }).map(
+            ([key, value]) => `${key}=${value}`
+          ),
+        ].join("\n")
+      )
+      .join("\n\n") + "\n"
+  );
+}
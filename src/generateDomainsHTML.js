@@ -1,25 +1,42 @@
-import { getCategorizedDomains } from "./getCategorizedDomains.js";
-
 /**
  * Generate HTML for the collapsible domains section
+ * Each item carries its platform key and action buttons; the items are
+ * reached with the arrow keys, so only the first one is in the tab order.
+ * @param {Object.<string, Array<{key: string, name: string, icon: string, domain: string}>>} categories - Platforms by category, see getCategorizedDomains
+ * @param {Object} [options] - Rendering options
+ * @param {Set<string>} [options.configKeys] - Platform keys that have a configuration snippet
  * @returns {string} HTML content for the domains section
  */
 
-export function generateDomainsHTML() {
-  const categories = getCategorizedDomains();
+export function generateDomainsHTML(
+  categories,
+  { configKeys = new Set() } = {}
+) {
   let html = "";
+  let tabIndex = 0;
 
   for (const [category, domains] of Object.entries(categories)) {
-    const domainList = Object.entries(domains)
-      .map(
-        ([name, domain]) =>
-          `<li><span class="domain-name">${name}</span><code class="domain-url">${domain}</code></li>`
-      )
+    const domainList = domains
+      .map(({ key, name, icon, domain }) => {
+        const actions = [
+          `<button type="button" class="domain-action" data-action="copy-prefix" tabindex="-1" title="复制 Xget 前缀 URL">复制前缀</button>`,
+          `<button type="button" class="domain-action" data-action="try" tabindex="-1" title="在转换器中试用示例 URL">试用</button>`,
+        ];
+        if (configKeys.has(key)) {
+          actions.push(
+            `<button type="button" class="domain-action" data-action="config" tabindex="-1" title="查看配置片段">配置</button>`
+          );
+        }
+
+        const item = `<li data-key="${escapeHtml(key)}" tabindex="${tabIndex}"><span class="domain-name"><span class="domain-icon">${escapeHtml(icon)}</span>${escapeHtml(name)}</span><code class="domain-url">${escapeHtml(domain)}</code><span class="domain-actions">${actions.join("")}</span></li>`;
+        tabIndex = -1;
+        return item;
+      })
       .join("");
 
     html += `
       <div class="domain-category">
-        <h4 class="category-title">${category}</h4>
+        <h4 class="category-title">${escapeHtml(category)}</h4>
         <ul class="domain-list">
           ${domainList}
         </ul>
@@ -27,5 +44,22 @@ export function generateDomainsHTML() {
     `;
   }
 
+  if (!html) {
+    return '<p class="domains-empty">没有匹配的平台</p>';
+  }
+
   return html;
 }
+
+/**
+ * Escape text for use in HTML markup, custom platform names are user input
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
@@ -0,0 +1,67 @@
+/**
+ * Platform keys that host git repositories, with whether they accept SSH
+ * @type {Array<{key: string, ssh: boolean}>}
+ */
+const GIT_FORGES = [
+  { key: "gh", ssh: true },
+  { key: "gist", ssh: true },
+  { key: "gl", ssh: true },
+  { key: "gitea", ssh: true },
+  { key: "codeberg", ssh: true },
+  { key: "aosp", ssh: false },
+];
+
+/**
+ * Generate git `insteadOf` rules that send every clone from the supported
+ * forges through Xget, including SSH and scp-style remotes
+ * @param {string} xgetDomain - Xget domain without trailing slash
+ * @param {Object.<string, string>} platforms - Platform key to base URL mappings
+ * @returns {Array<{id: string, tool: string, filename: string, keys: string[], content: string}>} Shell commands and the equivalent ~/.gitconfig section
+ */
+export function generateGitInsteadOfRules(xgetDomain, platforms) {
+  const rules = GIT_FORGES.filter(({ key }) => key in platforms).map(
+    ({ key, ssh }) => {
+      const host = new URL(platforms[key]).hostname;
+      const upstreams = [`https://${host}/`];
+      if (ssh) {
+        upstreams.push(`git@${host}:`, `ssh://git@${host}/`);
+      }
+      return { key, xgetPrefix: `${xgetDomain}/${key}/`, upstreams };
+    }
+  );
+
+  if (rules.length === 0) {
+    return [];
+  }
+
+  const commands = rules.flatMap(({ xgetPrefix, upstreams }) =>
+    upstreams.map(
+      (upstream) =>
+        `git config --global --add url."${xgetPrefix}".insteadOf "${upstream}"`
+    )
+  );
+
+  const keys = rules.map(({ key }) => key);
+
+  const gitconfig = rules.flatMap(({ xgetPrefix, upstreams }) => [
+    `[url "${xgetPrefix}"]`,
+    ...upstreams.map((upstream) => `\tinsteadOf = ${upstream}`),
+  ]);
+
+  return [
+    {
+      id: "git-insteadof",
+      tool: "Git",
+      filename: "shell",
+      keys,
+      content: commands.join("\n") + "\n",
+    },
+    {
+      id: "gitconfig",
+      tool: "Git",
+      filename: "~/.gitconfig",
+      keys,
+      content: gitconfig.join("\n") + "\n",
+    },
+  ];
+}
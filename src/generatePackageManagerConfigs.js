@@ -0,0 +1,189 @@
+/**
+ * Package manager configuration templates
+ * Each template lists the platform keys it needs and builds the snippet
+ * from a function that maps a platform key to its Xget prefix URL
+ * @type {Array<{id: string, tool: string, filename: string, keys: string[], build: function(function(string): string): string}>}
+ */
+const CONFIG_TEMPLATES = [
+  {
+    id: "npm",
+    tool: "npm / pnpm / yarn",
+    filename: "~/.npmrc",
+    keys: ["npm"],
+    build: (prefix) => `registry=${prefix("npm")}/\n`,
+  },
+  {
+    id: "pip",
+    tool: "pip",
+    filename: "~/.config/pip/pip.conf",
+    keys: ["pypi"],
+    build: (prefix) => `[global]\nindex-url = ${prefix("pypi")}/simple\n`,
+  },
+  {
+    id: "conda",
+    tool: "conda",
+    filename: "~/.condarc",
+    keys: ["conda", "conda-community"],
+    build: (prefix) =>
+      [
+        "channels:",
+        "  - defaults",
+        "show_channel_urls: true",
+        "default_channels:",
+        `  - ${prefix("conda")}/pkgs/main`,
+        `  - ${prefix("conda")}/pkgs/r`,
+        `  - ${prefix("conda")}/pkgs/msys2`,
+        "custom_channels:",
+        `  conda-forge: ${prefix("conda-community")}`,
+        `  bioconda: ${prefix("conda-community")}`,
+        `  pytorch: ${prefix("conda-community")}`,
+        "",
+      ].join("\n"),
+  },
+  {
+    id: "maven",
+    tool: "Maven",
+    filename: "~/.m2/settings.xml",
+    keys: ["maven"],
+    build: (prefix) =>
+      [
+        "<settings>",
+        "  <mirrors>",
+        "    <mirror>",
+        "      <id>xget-maven</id>",
+        "      <mirrorOf>central</mirrorOf>",
+        "      <name>Xget Maven Central</name>",
+        `      <url>${prefix("maven")}/maven2</url>`,
+        "    </mirror>",
+        "  </mirrors>",
+        "</settings>",
+        "",
+      ].join("\n"),
+  },
+  {
+    id: "gradle",
+    tool: "Gradle",
+    filename: "settings.gradle",
+    keys: ["gradle", "maven"],
+    build: (prefix) =>
+      [
+        "pluginManagement {",
+        "    repositories {",
+        `        maven { url "${prefix("gradle")}/m2" }`,
+        "    }",
+        "}",
+        "",
+        "dependencyResolutionManagement {",
+        "    repositories {",
+        `        maven { url "${prefix("maven")}/maven2" }`,
+        "    }",
+        "}",
+        "",
+      ].join("\n"),
+  },
+  {
+    id: "golang",
+    tool: "Go",
+    filename: "shell",
+    keys: ["golang"],
+    build: (prefix) => `go env -w GOPROXY=${prefix("golang")},direct\n`,
+  },
+  {
+    id: "cargo",
+    tool: "Cargo",
+    filename: "~/.cargo/config.toml",
+    keys: ["crates"],
+    build: (prefix) =>
+      [
+        "[source.crates-io]",
+        'replace-with = "xget"',
+        "",
+        "[source.xget]",
+        `registry = "sparse+${prefix("crates")}/"`,
+        "",
+      ].join("\n"),
+  },
+  {
+    id: "nuget",
+    tool: "NuGet",
+    filename: "NuGet.Config",
+    keys: ["nuget"],
+    build: (prefix) =>
+      [
+        '<?xml version="1.0" encoding="utf-8"?>',
+        "<configuration>",
+        "  <packageSources>",
+        "    <clear />",
+        `    <add key="xget" value="${prefix("nuget")}/v3/index.json" protocolVersion="3" />`,
+        "  </packageSources>",
+        "</configuration>",
+        "",
+      ].join("\n"),
+  },
+  {
+    id: "rubygems",
+    tool: "Bundler",
+    filename: "Gemfile",
+    keys: ["rubygems"],
+    build: (prefix) => `source "${prefix("rubygems")}"\n`,
+  },
+  {
+    id: "composer",
+    tool: "Composer",
+    filename: "composer.json",
+    keys: ["packagist"],
+    build: (prefix) =>
+      JSON.stringify(
+        {
+          repositories: [
+            { type: "composer", url: prefix("packagist") },
+            { "packagist.org": false },
+          ],
+        },
+        null,
+        4
+      ) + "\n",
+  },
+  {
+    id: "cran",
+    tool: "R",
+    filename: "~/.Rprofile",
+    keys: ["cran"],
+    build: (prefix) => `options(repos = c(CRAN = "${prefix("cran")}"))\n`,
+  },
+  {
+    id: "homebrew",
+    tool: "Homebrew",
+    filename: "~/.bashrc / ~/.zshrc",
+    keys: ["homebrew", "homebrew-api", "homebrew-bottles"],
+    build: (prefix) =>
+      [
+        `export HOMEBREW_BREW_GIT_REMOTE="${prefix("homebrew")}/brew.git"`,
+        `export HOMEBREW_CORE_GIT_REMOTE="${prefix("homebrew")}/homebrew-core.git"`,
+        `export HOMEBREW_API_DOMAIN="${prefix("homebrew-api")}"`,
+        `export HOMEBREW_BOTTLE_DOMAIN="${prefix("homebrew-bottles")}"`,
+        "",
+      ].join("\n"),
+  },
+];
+
+/**
+ * Generate ready-to-paste package manager configuration for an Xget domain
+ * Templates whose platform keys are missing from the catalog are skipped
+ * @param {string} xgetDomain - Xget domain without trailing slash
+ * @param {Object.<string, string>} platforms - Platform key to base URL mappings
+ * @returns {Array<{id: string, tool: string, filename: string, keys: string[], content: string}>} Generated snippets
+ */
+export function generatePackageManagerConfigs(xgetDomain, platforms) {
+  const prefix = (key) => `${xgetDomain}/${key}`;
+
+  return CONFIG_TEMPLATES.filter((template) =>
+    template.keys.every((key) => key in platforms)
+  ).map(({ id, tool, filename, keys, build }) => ({
+    id,
+    tool,
+    filename,
+    keys,
+    content: build(prefix),
+  }));
+}
@@ -0,0 +1,62 @@
+/**
+ * Generate pull commands and registry mirror configuration for an image
+ * that is routed through an Xget container registry prefix
+ * @param {Object} options - Generation options
+ * @param {string} options.xgetDomain - Xget domain without trailing slash
+ * @param {string} options.key - Container registry platform key (e.g. cr-docker)
+ * @param {{registry: string, isDockerHub: boolean}} options.image - Parsed image reference
+ * @param {string} options.xgetReference - Image reference rewritten to the Xget domain
+ * @returns {Array<{id: string, tool: string, filename: string, content: string}>} Generated snippets
+ */
+export function generateRegistryMirrorConfigs({
+  xgetDomain,
+  key,
+  image,
+  xgetReference,
+}) {
+  const mirrorUrl = `${xgetDomain}/${key}`;
+
+  // containerd looks up hosts.toml by the registry name used in references
+  const hostsDirectory = image.isDockerHub ? "docker.io" : image.registry;
+
+  const snippets = [
+    {
+      id: "pull",
+      tool: "拉取命令",
+      filename: "shell",
+      content: [
+        `docker pull ${xgetReference}`,
+        `podman pull ${xgetReference}`,
+        `crictl pull ${xgetReference}`,
+        "",
+      ].join("\n"),
+    },
+  ];
+
+  // Docker only supports registry-mirrors for Docker Hub
+  if (image.isDockerHub) {
+    snippets.push({
+      id: "daemon-json",
+      tool: "Docker",
+      filename: "/etc/docker/daemon.json",
+      content:
+        JSON.stringify({ "registry-mirrors": [mirrorUrl] }, null, 2) + "\n",
+    });
+  }
+
+  snippets.push({
+    id: "hosts-toml",
+    tool: "containerd",
+    filename: `/etc/containerd/certs.d/${hostsDirectory}/hosts.toml`,
+    content: [
+      `server = "https://${image.registry}"`,
+      "",
+      `[host."${mirrorUrl}/v2"]`,
+      '  capabilities = ["pull", "resolve"]',
+      "  override_path = true",
+      "",
+    ].join("\n"),
+  });
+
+  return snippets;
+}
@@ -0,0 +1,17 @@
+/**
+ * Get the pattern a platform choice for an ambiguous URL is remembered under:
+ * the hostname and the first path segment, lowercased (e.g. github.com/homebrew)
+ * @param {string} url - Upstream URL
+ * @returns {?string} Pattern or null for invalid URLs
+ */
+export function getPlatformChoicePattern(url) {
+  let urlObj;
+  try {
+    urlObj = new URL(url);
+  } catch {
+    return null;
+  }
+
+  const [firstSegment = ""] = urlObj.pathname.split("/").filter(Boolean);
+  return `${urlObj.hostname}/${firstSegment}`.toLowerCase();
+}
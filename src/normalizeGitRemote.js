@@ -0,0 +1,46 @@
+/**
+ * scp-like git remote: [user@]host:path (no scheme, no slash before the colon)
+ * A numeric segment after the colon is a registry port, not a git path
+ * @type {RegExp}
+ */
+const SCP_REMOTE_PATTERN =
+  /^(?:[\w.-]+@)?([a-z0-9.-]+\.[a-z]{2,}):(?!\/\/|\d+(?:\/|$))\/?(.+)$/i;
+
+/**
+ * Schemes that git uses for non-HTTP remotes
+ * @type {string[]}
+ */
+const GIT_SCHEMES = ["ssh:", "git:", "git+ssh:", "ssh+git:"];
+
+/**
+ * Convert a git SSH, scp-style or git:// remote into its HTTPS form
+ * Examples:
+ *   git@github.com:owner/repo.git → https://github.com/owner/repo.git
+ *   ssh://git@gitlab.com:22/group/repo.git → https://gitlab.com/group/repo.git
+ *   git://codeberg.org/owner/repo.git → https://codeberg.org/owner/repo.git
+ * @param {string} remote - Git remote as written in `git clone` or `git remote`
+ * @returns {?string} HTTPS URL or null when the input is not a git remote of these forms
+ */
+export function normalizeGitRemote(remote) {
+  const trimmed = remote.trim();
+
+  const scpMatch = trimmed.match(SCP_REMOTE_PATTERN);
+  if (scpMatch) {
+    const [, host, path] = scpMatch;
+    return `https://${host.toLowerCase()}/${path}`;
+  }
+
+  let urlObj;
+  try {
+    urlObj = new URL(trimmed);
+  } catch {
+    return null;
+  }
+
+  if (!GIT_SCHEMES.includes(urlObj.protocol) || !urlObj.hostname) {
+    return null;
+  }
+
+  // SSH ports and user names have no meaning for the HTTPS remote
+  return `https://${urlObj.hostname}${urlObj.pathname}`;
+}
@@ -0,0 +1,60 @@
+/**
+ * IndexedDB database shared by the converter
+ * @type {string}
+ */
+const DATABASE_NAME = "xuc";
+
+/**
+ * Bump together with DATABASE_STORES when adding an object store
+ * @type {number}
+ */
+const DATABASE_VERSION = 2;
+
+/**
+ * Object stores and their key paths
+ * - catalog: remote platform catalogs by source URL
+ * - history: successful conversions
+ * @type {Object.<string, IDBObjectStoreParameters>}
+ */
+const DATABASE_STORES = {
+  catalog: { keyPath: "url" },
+  history: { keyPath: "id", autoIncrement: true },
+};
+
+/**
+ * Open the converter database, creating missing object stores on upgrade
+ * @returns {Promise<IDBDatabase>} Open database
+ */
+export function openDatabase() {
+  return new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") {
+      reject(new Error("当前浏览器不支持 IndexedDB"));
+      return;
+    }
+
+    const request = indexedDB.open(DATABASE_NAME, DATABASE_VERSION);
+
+    request.onupgradeneeded = () => {
+      const database = request.result;
+      for (const [name, options] of Object.entries(DATABASE_STORES)) {
+        if (!database.objectStoreNames.contains(name)) {
+          database.createObjectStore(name, options);
+        }
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request - Pending request
+ * @returns {Promise<*>} Request result
+ */
+export function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
@@ -0,0 +1,51 @@
+/**
+ * Converter modes a deep link may select
+ * Lockfile and document mode are left out, their input does not fit in a link
+ * @type {string[]}
+ */
+const DEEP_LINK_MODES = [
+  "convert",
+  "reverse",
+  "batch",
+  "command",
+  "config",
+  "platforms",
+  "history",
+  "diagnostics",
+];
+
+/**
+ * Read converter state from a page URL
+ * Parameters are read from the query string (?url=&domain=&mode=) and from
+ * the hash (#url=...), the query string wins when both are present
+ * @param {string} pageUrl - Current page URL
+ * @returns {{url: ?string, domain: ?string, mode: ?string}} Requested state, null for absent or invalid values
+ */
+export function parseDeepLink(pageUrl) {
+  const page = new URL(pageUrl);
+  const query = page.searchParams;
+  const hash = new URLSearchParams(page.hash.replace(/^#/, ""));
+  const read = (name) => query.get(name) ?? hash.get(name);
+
+  const url = read("url")?.trim() || null;
+  const mode = read("mode")?.trim().toLowerCase() || null;
+
+  let domain = read("domain")?.trim() || null;
+  if (domain) {
+    try {
+      const domainUrl = new URL(domain);
+      domain =
+        domainUrl.protocol === "http:" || domainUrl.protocol === "https:"
+          ? domain.replace(/\/$/, "")
+          : null;
+    } catch {
+      domain = null;
+    }
+  }
+
+  return {
+    url,
+    domain,
+    mode: DEEP_LINK_MODES.includes(mode) ? mode : null,
+  };
+}
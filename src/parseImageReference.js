@@ -0,0 +1,71 @@
+/**
+ * Docker Hub registry host used for images without an explicit registry
+ * @type {string}
+ */
+const DOCKER_HUB_REGISTRY = "registry-1.docker.io";
+
+/**
+ * Host names that all refer to Docker Hub
+ * @type {string[]}
+ */
+const DOCKER_HUB_ALIASES = [
+  "docker.io",
+  "index.docker.io",
+  DOCKER_HUB_REGISTRY,
+];
+
+/**
+ * Image reference grammar (simplified from the distribution reference spec)
+ * name[:tag][@digest], where name is one or more lowercase path components
+ * @type {RegExp}
+ */
+const REFERENCE_PATTERN =
+  /^((?:[a-z0-9]+(?:(?:[._]|__|-+)[a-z0-9]+)*)(?:\/[a-z0-9]+(?:(?:[._]|__|-+)[a-z0-9]+)*)*)(?::([\w][\w.-]{0,127}))?(?:@([a-z0-9]+(?:[+._-][a-z0-9]+)*:[a-f0-9]{32,}))?$/;
+
+/**
+ * Parse a container image reference such as `nginx:1.27`,
+ * `ghcr.io/owner/img@sha256:...` or `registry.k8s.io/pause:3.9`
+ * Docker Hub references are normalized to registry-1.docker.io and
+ * single-component names get the implicit `library/` namespace
+ * @param {string} reference - Image reference
+ * @returns {?{registry: string, repository: string, tag: ?string, digest: ?string, isDockerHub: boolean}} Parsed reference or null if invalid
+ */
+export function parseImageReference(reference) {
+  const trimmed = reference.trim();
+  if (!trimmed || /^[a-z][a-z0-9+.-]*:\/\//i.test(trimmed)) {
+    return null;
+  }
+
+  let registry = DOCKER_HUB_REGISTRY;
+  let remainder = trimmed;
+
+  // The first component is a registry when it looks like a host name
+  const slashIndex = trimmed.indexOf("/");
+  if (slashIndex !== -1) {
+    const firstComponent = trimmed.slice(0, slashIndex);
+    if (/[.:]/.test(firstComponent) || firstComponent === "localhost") {
+      if (!/^[a-z0-9.-]+(?::\d+)?$/i.test(firstComponent)) {
+        return null;
+      }
+      registry = firstComponent.toLowerCase();
+      remainder = trimmed.slice(slashIndex + 1);
+    }
+  }
+
+  const match = remainder.match(REFERENCE_PATTERN);
+  if (!match) {
+    return null;
+  }
+
+  let [, repository, tag = null, digest = null] = match;
+
+  const isDockerHub = DOCKER_HUB_ALIASES.includes(registry);
+  if (isDockerHub) {
+    registry = DOCKER_HUB_REGISTRY;
+    if (!repository.includes("/")) {
+      repository = `library/${repository}`;
+    }
+  }
+
+  return { registry, repository, tag, digest, isDockerHub };
+}
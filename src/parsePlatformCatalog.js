@@ -0,0 +1,115 @@
+/**
+ * Platform keys as used in platforms.js (gh, cr-ghcr, homebrew-api, ...)
+ * @type {RegExp}
+ */
+const PLATFORM_KEY_PATTERN = /^[a-z0-9][a-z0-9._-]*$/i;
+
+/**
+ * Parse and validate a platform catalog fetched from a remote source
+ * Accepts the upstream platforms.js source (`export const PLATFORMS = {...}`)
+ * or JSON, either a key → base URL object or `{ "platforms": {...} }`
+ * @param {string} content - Raw catalog file content
+ * @returns {Object.<string, string>} Platform key to base URL mappings
+ * @throws {Error} When the content holds no valid platform catalog
+ */
+export function parsePlatformCatalog(content) {
+  const trimmed = content.trim();
+  const platforms = trimmed.startsWith("{")
+    ? parseJsonCatalog(trimmed)
+    : parseModuleCatalog(trimmed);
+
+  const entries = Object.entries(platforms);
+  if (entries.length === 0) {
+    throw new Error("未能解析出任何平台数据");
+  }
+
+  for (const [key, baseUrl] of entries) {
+    if (!PLATFORM_KEY_PATTERN.test(key)) {
+      throw new Error(`平台前缀 "${key}" 无效`);
+    }
+
+    let url;
+    try {
+      url = new URL(baseUrl);
+    } catch {
+      throw new Error(`平台 "${key}" 的基础 URL 无效: ${baseUrl}`);
+    }
+    if (url.protocol !== "http:" && url.protocol !== "https:") {
+      throw new Error(`平台 "${key}" 的基础 URL 必须使用 http 或 https`);
+    }
+  }
+
+  return platforms;
+}
+
+/**
+ * Parse a JSON catalog
+ * @param {string} content - JSON text
+ * @returns {Object.<string, string>} Platform mappings
+ */
+function parseJsonCatalog(content) {
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch (error) {
+    throw new Error(`平台目录不是有效的 JSON: ${error.message}`);
+  }
+
+  const platforms = data?.platforms ?? data;
+  if (!platforms || typeof platforms !== "object" || Array.isArray(platforms)) {
+    throw new Error("平台目录必须是键值对象");
+  }
+
+  const result = {};
+  for (const [key, baseUrl] of Object.entries(platforms)) {
+    if (typeof baseUrl !== "string") {
+      throw new Error(`平台 "${key}" 的基础 URL 必须是字符串`);
+    }
+    result[key] = baseUrl.trim();
+  }
+  return result;
+}
+
+/**
+ * Extract the PLATFORMS object from platforms.js source without evaluating it
+ * @param {string} content - JavaScript module source
+ * @returns {Object.<string, string>} Platform mappings
+ */
+function parseModuleCatalog(content) {
+  const platformsMatch = content.match(
+    /export\s+const\s+PLATFORMS\s*=\s*{([\s\S]*?)};/
+  );
+
+  if (!platformsMatch) {
+    throw new Error("无法在文件中找到 PLATFORMS 对象");
+  }
+
+  const platforms = {};
+
+  for (const line of platformsMatch[1].split("\n")) {
+    const trimmed = line.trim();
+
+    // Skip empty lines, comments, and other non-key-value content
+    if (
+      !trimmed ||
+      trimmed.startsWith("//") ||
+      trimmed.startsWith("/*") ||
+      trimmed.startsWith("*") ||
+      !trimmed.includes(":")
+    ) {
+      continue;
+    }
+
+    // Handles: 'key': 'value', "key": "value", key: 'value', key: "value"
+    const keyValueMatch = trimmed.match(
+      /^['"]?([^'":\s,]+)['"]?\s*:\s*['"]([^'"]+)['"][\s,]*(?:\/\/.*)?$/
+    );
+
+    if (keyValueMatch) {
+      const [, key, value] = keyValueMatch;
+      platforms[key.trim()] = value.trim();
+    }
+  }
+
+  return platforms;
+}
@@ -0,0 +1,1064 @@
+/**
+ * Built-in platform categories in display order, each name starts with its icon
+ * @type {string[]}
+ */
+export const PLATFORM_CATEGORIES = [
+  "🔧 开发平台",
+  "📦 包管理器",
+  "🐧 Linux 发行版",
+  "🤖 AI 推理服务",
+  "🐳 容器镜像",
+  "🔗 GitHub 资源",
+  "🌐 DNS over HTTPS",
+  "📚 其他平台",
+];
+
+/**
+ * Metadata for the built-in platforms, one record per key in platforms.js
+ * This is the single source for display names, domains grid categories,
+ * sample URLs and documentation links.
+ * - name: display name
+ * - category: one of PLATFORM_CATEGORIES
+ * - icon: emoji shown next to the name
+ * - sample: sample URL and the path expected after the /<key> prefix when
+ *   it is converted, used by the domains grid and the coverage self-test
+ * - docs: upstream documentation link
+ * @type {Object.<string, {name: string, category: string, icon: string, sample: {url: string, path: string}, docs?: string}>}
+ */
+export const PLATFORM_METADATA = {
+  // 🔧 开发平台
+  gh: {
+    name: "GitHub",
+    category: "🔧 开发平台",
+    icon: "🐙",
+    sample: {
+      url: "https://github.com/microsoft/vscode/blob/main/README.md",
+      path: "/microsoft/vscode/raw/refs/heads/main/README.md",
+    },
+    docs: "https://docs.github.com/",
+  },
+  gist: {
+    name: "GitHub Gist",
+    category: "🔧 开发平台",
+    icon: "📝",
+    sample: {
+      url: "https://gist.github.com/octocat/6cad326836d38bd3a7ae",
+      path: "/octocat/6cad326836d38bd3a7ae",
+    },
+    docs: "https://docs.github.com/en/get-started/writing-on-github/editing-and-sharing-content-with-gists",
+  },
+  gl: {
+    name: "GitLab",
+    category: "🔧 开发平台",
+    icon: "🦊",
+    sample: {
+      url: "https://gitlab.com/gitlab-org/gitlab/-/raw/master/README.md",
+      path: "/gitlab-org/gitlab/-/raw/master/README.md",
+    },
+    docs: "https://docs.gitlab.com/",
+  },
+  gitea: {
+    name: "Gitea",
+    category: "🔧 开发平台",
+    icon: "🍵",
+    sample: {
+      url: "https://gitea.com/gitea/tea/archive/main.tar.gz",
+      path: "/gitea/tea/archive/main.tar.gz",
+    },
+    docs: "https://docs.gitea.com/",
+  },
+  codeberg: {
+    name: "Codeberg",
+    category: "🔧 开发平台",
+    icon: "🏔️",
+    sample: {
+      url: "https://codeberg.org/forgejo/forgejo/archive/forgejo.tar.gz",
+      path: "/forgejo/forgejo/archive/forgejo.tar.gz",
+    },
+    docs: "https://docs.codeberg.org/",
+  },
+  sf: {
+    name: "SourceForge",
+    category: "🔧 开发平台",
+    icon: "🔥",
+    sample: {
+      url: "https://sourceforge.net/projects/sevenzip/files/7-Zip/23.01/7z2301-x64.exe/download",
+      path: "/projects/sevenzip/files/7-Zip/23.01/7z2301-x64.exe/download",
+    },
+    docs: "https://sourceforge.net/p/forge/documentation/",
+  },
+  aosp: {
+    name: "Android 源码",
+    category: "🔧 开发平台",
+    icon: "🤖",
+    sample: {
+      url: "https://android.googlesource.com/platform/frameworks/base/+archive/refs/heads/main.tar.gz",
+      path: "/platform/frameworks/base/+archive/refs/heads/main.tar.gz",
+    },
+    docs: "https://source.android.com/docs",
+  },
+  hf: {
+    name: "Hugging Face",
+    category: "🔧 开发平台",
+    icon: "🤗",
+    sample: {
+      url: "https://huggingface.co/facebook/opt-350m/resolve/main/config.json",
+      path: "/facebook/opt-350m/resolve/main/config.json",
+    },
+    docs: "https://huggingface.co/docs/hub",
+  },
+  civitai: {
+    name: "Civitai",
+    category: "🔧 开发平台",
+    icon: "🎨",
+    sample: {
+      url: "https://civitai.com/api/download/models/12345",
+      path: "/api/download/models/12345",
+    },
+    docs: "https://developer.civitai.com/docs/api/public-rest",
+  },
+
+  // 📦 包管理器
+  npm: {
+    name: "NPM",
+    category: "📦 包管理器",
+    icon: "📦",
+    sample: {
+      url: "https://registry.npmjs.org/react/-/react-18.2.0.tgz",
+      path: "/react/-/react-18.2.0.tgz",
+    },
+    docs: "https://docs.npmjs.com/",
+  },
+  pypi: {
+    name: "PyPI",
+    category: "📦 包管理器",
+    icon: "🐍",
+    sample: { url: "https://pypi.org/simple/django/", path: "/simple/django/" },
+    docs: "https://docs.pypi.org/",
+  },
+  "pypi-files": {
+    name: "Python 托管",
+    category: "📦 包管理器",
+    icon: "🐍",
+    sample: {
+      url: "https://files.pythonhosted.org/packages/source/d/django/django-4.2.0.tar.gz",
+      path: "/packages/source/d/django/django-4.2.0.tar.gz",
+    },
+    docs: "https://packaging.python.org/en/latest/specifications/simple-repository-api/",
+  },
+  conda: {
+    name: "Conda",
+    category: "📦 包管理器",
+    icon: "🅒",
+    sample: {
+      url: "https://repo.anaconda.com/archive/Anaconda3-2023.09-1-Linux-x86_64.sh",
+      path: "/archive/Anaconda3-2023.09-1-Linux-x86_64.sh",
+    },
+    docs: "https://docs.anaconda.com/",
+  },
+  "conda-community": {
+    name: "Conda 社区",
+    category: "📦 包管理器",
+    icon: "🅒",
+    sample: {
+      url: "https://conda.anaconda.org/conda-forge/linux-64/repodata.json",
+      path: "/conda-forge/linux-64/repodata.json",
+    },
+    docs: "https://docs.conda.io/",
+  },
+  maven: {
+    name: "Maven 中央",
+    category: "📦 包管理器",
+    icon: "☕",
+    sample: {
+      url: "https://repo1.maven.org/maven2/org/springframework/spring-core/5.3.23/spring-core-5.3.23.jar",
+      path: "/maven2/org/springframework/spring-core/5.3.23/spring-core-5.3.23.jar",
+    },
+    docs: "https://central.sonatype.org/",
+  },
+  apache: {
+    name: "Apache",
+    category: "📦 包管理器",
+    icon: "🪶",
+    sample: {
+      url: "https://downloads.apache.org/tomcat/tomcat-9/v9.0.80/bin/apache-tomcat-9.0.80.tar.gz",
+      path: "/tomcat/tomcat-9/v9.0.80/bin/apache-tomcat-9.0.80.tar.gz",
+    },
+    docs: "https://infra.apache.org/release-distribution.html",
+  },
+  gradle: {
+    name: "Gradle 插件",
+    category: "📦 包管理器",
+    icon: "🐘",
+    sample: {
+      url: "https://plugins.gradle.org/m2/org/springframework/boot/org.springframework.boot.gradle.plugin/3.1.0/org.springframework.boot.gradle.plugin-3.1.0.pom",
+      path: "/m2/org/springframework/boot/org.springframework.boot.gradle.plugin/3.1.0/org.springframework.boot.gradle.plugin-3.1.0.pom",
+    },
+    docs: "https://docs.gradle.org/current/userguide/plugins.html",
+  },
+  homebrew: {
+    name: "Homebrew",
+    category: "📦 包管理器",
+    icon: "🍺",
+    sample: {
+      url: "https://github.com/Homebrew/brew/archive/refs/tags/4.1.0.tar.gz",
+      path: "/brew/archive/refs/tags/4.1.0.tar.gz",
+    },
+    docs: "https://docs.brew.sh/",
+  },
+  "homebrew-api": {
+    name: "Homebrew API",
+    category: "📦 包管理器",
+    icon: "🍺",
+    sample: {
+      url: "https://formulae.brew.sh/api/formula.json",
+      path: "/formula.json",
+    },
+    docs: "https://formulae.brew.sh/docs/api/",
+  },
+  "homebrew-bottles": {
+    name: "Homebrew Bottles",
+    category: "📦 包管理器",
+    icon: "🍺",
+    sample: {
+      url: "https://ghcr.io/v2/homebrew/core/wget/manifests/1.21.4",
+      path: "/v2/homebrew/core/wget/manifests/1.21.4",
+    },
+    docs: "https://docs.brew.sh/Bottles",
+  },
+  rubygems: {
+    name: "RubyGems",
+    category: "📦 包管理器",
+    icon: "💎",
+    sample: {
+      url: "https://rubygems.org/gems/rails-7.0.4.gem",
+      path: "/gems/rails-7.0.4.gem",
+    },
+    docs: "https://guides.rubygems.org/",
+  },
+  cran: {
+    name: "CRAN",
+    category: "📦 包管理器",
+    icon: "📊",
+    sample: {
+      url: "https://cran.r-project.org/src/contrib/ggplot2_3.4.4.tar.gz",
+      path: "/src/contrib/ggplot2_3.4.4.tar.gz",
+    },
+    docs: "https://cran.r-project.org/manuals.html",
+  },
+  cpan: {
+    name: "CPAN",
+    category: "📦 包管理器",
+    icon: "🐪",
+    sample: {
+      url: "https://www.cpan.org/modules/by-module/DBI/DBI-1.643.tar.gz",
+      path: "/modules/by-module/DBI/DBI-1.643.tar.gz",
+    },
+    docs: "https://www.cpan.org/misc/cpan-faq.html",
+  },
+  ctan: {
+    name: "CTAN",
+    category: "📦 包管理器",
+    icon: "📜",
+    sample: {
+      url: "https://tug.ctan.org/macros/latex/base/lppl.txt",
+      path: "/macros/latex/base/lppl.txt",
+    },
+    docs: "https://ctan.org/help",
+  },
+  golang: {
+    name: "Go 模块",
+    category: "📦 包管理器",
+    icon: "🐹",
+    sample: {
+      url: "https://proxy.golang.org/github.com/gin-gonic/gin/@v/v1.9.0.mod",
+      path: "/github.com/gin-gonic/gin/@v/v1.9.0.mod",
+    },
+    docs: "https://go.dev/ref/mod#module-proxy",
+  },
+  nuget: {
+    name: "NuGet",
+    category: "📦 包管理器",
+    icon: "🔷",
+    sample: {
+      url: "https://api.nuget.org/v3-flatcontainer/newtonsoft.json/13.0.3/newtonsoft.json.13.0.3.nupkg",
+      path: "/v3-flatcontainer/newtonsoft.json/13.0.3/newtonsoft.json.13.0.3.nupkg",
+    },
+    docs: "https://learn.microsoft.com/nuget/",
+  },
+  crates: {
+    name: "Crates.io",
+    category: "📦 包管理器",
+    icon: "🦀",
+    sample: {
+      url: "https://crates.io/api/v1/crates/serde/1.0.0/download",
+      path: "/api/v1/crates/serde/1.0.0/download",
+    },
+    docs: "https://doc.rust-lang.org/cargo/",
+  },
+  packagist: {
+    name: "Packagist",
+    category: "📦 包管理器",
+    icon: "🐘",
+    sample: {
+      url: "https://repo.packagist.org/p2/laravel/laravel.json",
+      path: "/p2/laravel/laravel.json",
+    },
+    docs: "https://packagist.org/apidoc",
+  },
+
+  // 🐧 Linux 发行版
+  debian: {
+    name: "Debian",
+    category: "🐧 Linux 发行版",
+    icon: "🌀",
+    sample: {
+      url: "https://deb.debian.org/debian/dists/bookworm/Release",
+      path: "/debian/dists/bookworm/Release",
+    },
+    docs: "https://wiki.debian.org/SourcesList",
+  },
+  ubuntu: {
+    name: "Ubuntu",
+    category: "🐧 Linux 发行版",
+    icon: "🟠",
+    sample: {
+      url: "https://archive.ubuntu.com/ubuntu/dists/jammy/Release",
+      path: "/ubuntu/dists/jammy/Release",
+    },
+    docs: "https://help.ubuntu.com/community/Repositories",
+  },
+  fedora: {
+    name: "Fedora",
+    category: "🐧 Linux 发行版",
+    icon: "🎩",
+    sample: {
+      url: "https://dl.fedoraproject.org/pub/fedora/linux/releases/39/Everything/x86_64/os/repodata/repomd.xml",
+      path: "/pub/fedora/linux/releases/39/Everything/x86_64/os/repodata/repomd.xml",
+    },
+    docs: "https://docs.fedoraproject.org/",
+  },
+  rocky: {
+    name: "Rocky Linux",
+    category: "🐧 Linux 发行版",
+    icon: "⛰️",
+    sample: {
+      url: "https://download.rockylinux.org/pub/rocky/9/BaseOS/x86_64/os/repodata/repomd.xml",
+      path: "/pub/rocky/9/BaseOS/x86_64/os/repodata/repomd.xml",
+    },
+    docs: "https://docs.rockylinux.org/",
+  },
+  opensuse: {
+    name: "openSUSE",
+    category: "🐧 Linux 发行版",
+    icon: "🦎",
+    sample: {
+      url: "https://download.opensuse.org/tumbleweed/repo/oss/repodata/repomd.xml",
+      path: "/tumbleweed/repo/oss/repodata/repomd.xml",
+    },
+    docs: "https://doc.opensuse.org/",
+  },
+  arch: {
+    name: "Arch Linux",
+    category: "🐧 Linux 发行版",
+    icon: "🔺",
+    sample: {
+      url: "https://geo.mirror.pkgbuild.com/core/os/x86_64/core.db",
+      path: "/core/os/x86_64/core.db",
+    },
+    docs: "https://wiki.archlinux.org/title/Mirrors",
+  },
+
+  // 🤖 AI 推理服务
+  "ip-openai": {
+    name: "OpenAI",
+    category: "🤖 AI 推理服务",
+    icon: "🤖",
+    sample: {
+      url: "https://api.openai.com/v1/chat/completions",
+      path: "/v1/chat/completions",
+    },
+    docs: "https://platform.openai.com/docs/api-reference",
+  },
+  "ip-anthropic": {
+    name: "Anthropic",
+    category: "🤖 AI 推理服务",
+    icon: "🤖",
+    sample: {
+      url: "https://api.anthropic.com/v1/messages",
+      path: "/v1/messages",
+    },
+    docs: "https://docs.anthropic.com/en/api",
+  },
+  "ip-gemini": {
+    name: "Gemini",
+    category: "🤖 AI 推理服务",
+    icon: "🤖",
+    sample: {
+      url: "https://generativelanguage.googleapis.com/v1beta/models",
+      path: "/v1beta/models",
+    },
+    docs: "https://ai.google.dev/gemini-api/docs",
+  },
+  "ip-vertexai": {
+    name: "Vertex AI",
+    category: "🤖 AI 推理服务",
+    icon: "🤖",
+    sample: {
+      url: "https://aiplatform.googleapis.com/v1/projects/example/locations/global/publishers/google/models/gemini-2.0-flash:generateContent",
+      path: "/v1/projects/example/locations/global/publishers/google/models/gemini-2.0-flash:generateContent",
+    },
+    docs: "https://cloud.google.com/vertex-ai/docs",
+  },
+  "ip-cohere": {
+    name: "Cohere",
+    category: "🤖 AI 推理服务",
+    icon: "🤖",
+    sample: { url: "https://api.cohere.ai/v2/chat", path: "/v2/chat" },
+    docs: "https://docs.cohere.com/",
+  },
+  "ip-mistralai": {
+    name: "Mistral AI",
+    category: "🤖 AI 推理服务",
+    icon: "🤖",
+    sample: {
+      url: "https://api.mistral.ai/v1/chat/completions",
+      path: "/v1/chat/completions",
+    },
+    docs: "https://docs.mistral.ai/",
+  },
+  "ip-xai": {
+    name: "xAI",
+    category: "🤖 AI 推理服务",
+    icon: "🤖",
+    sample: {
+      url: "https://api.x.ai/v1/chat/completions",
+      path: "/v1/chat/completions",
+    },
+    docs: "https://docs.x.ai/",
+  },
+  "ip-githubmodels": {
+    name: "GitHub Models",
+    category: "🤖 AI 推理服务",
+    icon: "🤖",
+    sample: {
+      url: "https://models.github.ai/inference/chat/completions",
+      path: "/inference/chat/completions",
+    },
+    docs: "https://docs.github.com/en/github-models",
+  },
+  "ip-nvidiaapi": {
+    name: "NVIDIA API",
+    category: "🤖 AI 推理服务",
+    icon: "🤖",
+    sample: {
+      url: "https://integrate.api.nvidia.com/v1/chat/completions",
+      path: "/v1/chat/completions",
+    },
+    docs: "https://docs.api.nvidia.com/",
+  },
+  "ip-perplexity": {
+    name: "Perplexity",
+    category: "🤖 AI 推理服务",
+    icon: "🤖",
+    sample: {
+      url: "https://api.perplexity.ai/chat/completions",
+      path: "/chat/completions",
+    },
+    docs: "https://docs.perplexity.ai/",
+  },
+  "ip-braintrust": {
+    name: "Braintrust",
+    category: "🤖 AI 推理服务",
+    icon: "🤖",
+    sample: {
+      url: "https://api.braintrust.dev/v1/proxy/chat/completions",
+      path: "/v1/proxy/chat/completions",
+    },
+    docs: "https://www.braintrust.dev/docs",
+  },
+  "ip-groq": {
+    name: "Groq",
+    category: "🤖 AI 推理服务",
+    icon: "🤖",
+    sample: {
+      url: "https://api.groq.com/openai/v1/chat/completions",
+      path: "/openai/v1/chat/completions",
+    },
+    docs: "https://console.groq.com/docs",
+  },
+  "ip-cerebras": {
+    name: "Cerebras",
+    category: "🤖 AI 推理服务",
+    icon: "🤖",
+    sample: {
+      url: "https://api.cerebras.ai/v1/chat/completions",
+      path: "/v1/chat/completions",
+    },
+    docs: "https://inference-docs.cerebras.ai/",
+  },
+  "ip-sambanova": {
+    name: "SambaNova",
+    category: "🤖 AI 推理服务",
+    icon: "🤖",
+    sample: {
+      url: "https://api.sambanova.ai/v1/chat/completions",
+      path: "/v1/chat/completions",
+    },
+    docs: "https://docs.sambanova.ai/",
+  },
+  "ip-siray": {
+    name: "Siray",
+    category: "🤖 AI 推理服务",
+    icon: "🤖",
+    sample: {
+      url: "https://api.siray.ai/v1/chat/completions",
+      path: "/v1/chat/completions",
+    },
+  },
+  "ip-huggingface": {
+    name: "Hugging Face 推理",
+    category: "🤖 AI 推理服务",
+    icon: "🤗",
+    sample: {
+      url: "https://router.huggingface.co/v1/chat/completions",
+      path: "/v1/chat/completions",
+    },
+    docs: "https://huggingface.co/docs/inference-providers",
+  },
+  "ip-together": {
+    name: "Together",
+    category: "🤖 AI 推理服务",
+    icon: "🤖",
+    sample: {
+      url: "https://api.together.xyz/v1/chat/completions",
+      path: "/v1/chat/completions",
+    },
+    docs: "https://docs.together.ai/",
+  },
+  "ip-replicate": {
+    name: "Replicate",
+    category: "🤖 AI 推理服务",
+    icon: "🤖",
+    sample: {
+      url: "https://api.replicate.com/v1/predictions",
+      path: "/v1/predictions",
+    },
+    docs: "https://replicate.com/docs",
+  },
+  "ip-fireworks": {
+    name: "Fireworks AI",
+    category: "🤖 AI 推理服务",
+    icon: "🤖",
+    sample: {
+      url: "https://api.fireworks.ai/inference/v1/chat/completions",
+      path: "/inference/v1/chat/completions",
+    },
+    docs: "https://docs.fireworks.ai/",
+  },
+  "ip-nebius": {
+    name: "Nebius AI",
+    category: "🤖 AI 推理服务",
+    icon: "🤖",
+    sample: {
+      url: "https://api.studio.nebius.ai/v1/chat/completions",
+      path: "/v1/chat/completions",
+    },
+    docs: "https://docs.nebius.com/studio/",
+  },
+  "ip-jina": {
+    name: "Jina AI",
+    category: "🤖 AI 推理服务",
+    icon: "🤖",
+    sample: {
+      url: "https://api.jina.ai/v1/embeddings",
+      path: "/v1/embeddings",
+    },
+    docs: "https://jina.ai/",
+  },
+  "ip-voyageai": {
+    name: "VoyageAI",
+    category: "🤖 AI 推理服务",
+    icon: "🤖",
+    sample: {
+      url: "https://api.voyageai.com/v1/embeddings",
+      path: "/v1/embeddings",
+    },
+    docs: "https://docs.voyageai.com/",
+  },
+  "ip-falai": {
+    name: "Fal.ai",
+    category: "🤖 AI 推理服务",
+    icon: "🤖",
+    sample: {
+      url: "https://fal.run/fal-ai/flux/dev",
+      path: "/fal-ai/flux/dev",
+    },
+    docs: "https://docs.fal.ai/",
+  },
+  "ip-novita": {
+    name: "Novita AI",
+    category: "🤖 AI 推理服务",
+    icon: "🤖",
+    sample: {
+      url: "https://api.novita.ai/v3/openai/chat/completions",
+      path: "/v3/openai/chat/completions",
+    },
+    docs: "https://novita.ai/docs",
+  },
+  "ip-burncloud": {
+    name: "BurnCloud AI",
+    category: "🤖 AI 推理服务",
+    icon: "🤖",
+    sample: {
+      url: "https://ai.burncloud.com/v1/chat/completions",
+      path: "/v1/chat/completions",
+    },
+  },
+  "ip-openrouter": {
+    name: "OpenRouter",
+    category: "🤖 AI 推理服务",
+    icon: "🤖",
+    sample: {
+      url: "https://openrouter.ai/api/v1/chat/completions",
+      path: "/api/v1/chat/completions",
+    },
+    docs: "https://openrouter.ai/docs",
+  },
+  "ip-poe": {
+    name: "Poe",
+    category: "🤖 AI 推理服务",
+    icon: "🤖",
+    sample: {
+      url: "https://api.poe.com/v1/chat/completions",
+      path: "/v1/chat/completions",
+    },
+    docs: "https://creator.poe.com/docs",
+  },
+  "ip-featherlessai": {
+    name: "Featherless AI",
+    category: "🤖 AI 推理服务",
+    icon: "🤖",
+    sample: {
+      url: "https://api.featherless.ai/v1/chat/completions",
+      path: "/v1/chat/completions",
+    },
+    docs: "https://featherless.ai/docs",
+  },
+  "ip-hyperbolic": {
+    name: "Hyperbolic",
+    category: "🤖 AI 推理服务",
+    icon: "🤖",
+    sample: {
+      url: "https://api.hyperbolic.xyz/v1/chat/completions",
+      path: "/v1/chat/completions",
+    },
+    docs: "https://docs.hyperbolic.xyz/",
+  },
+
+  // 🐳 容器镜像
+  "cr-docker": {
+    name: "Docker Hub",
+    category: "🐳 容器镜像",
+    icon: "🐳",
+    sample: {
+      url: "https://registry-1.docker.io/v2/library/nginx/manifests/latest",
+      path: "/v2/library/nginx/manifests/latest",
+    },
+    docs: "https://docs.docker.com/docker-hub/",
+  },
+  "cr-quay": {
+    name: "Quay.io",
+    category: "🐳 容器镜像",
+    icon: "🐳",
+    sample: {
+      url: "https://quay.io/v2/prometheus/prometheus/manifests/latest",
+      path: "/v2/prometheus/prometheus/manifests/latest",
+    },
+    docs: "https://docs.quay.io/",
+  },
+  "cr-gcr": {
+    name: "Google Container",
+    category: "🐳 容器镜像",
+    icon: "🐳",
+    sample: {
+      url: "https://gcr.io/v2/google-containers/busybox/manifests/latest",
+      path: "/v2/google-containers/busybox/manifests/latest",
+    },
+    docs: "https://cloud.google.com/artifact-registry/docs",
+  },
+  "cr-mcr": {
+    name: "Microsoft Container",
+    category: "🐳 容器镜像",
+    icon: "🐳",
+    sample: {
+      url: "https://mcr.microsoft.com/v2/dotnet/runtime/manifests/8.0",
+      path: "/v2/dotnet/runtime/manifests/8.0",
+    },
+    docs: "https://mcr.microsoft.com/",
+  },
+  "cr-ecr": {
+    name: "AWS ECR",
+    category: "🐳 容器镜像",
+    icon: "🐳",
+    sample: {
+      url: "https://public.ecr.aws/v2/nginx/nginx/manifests/latest",
+      path: "/v2/nginx/nginx/manifests/latest",
+    },
+    docs: "https://docs.aws.amazon.com/AmazonECR/latest/public/",
+  },
+  "cr-ghcr": {
+    name: "GitHub Container",
+    category: "🐳 容器镜像",
+    icon: "🐳",
+    sample: {
+      url: "https://ghcr.io/v2/home-assistant/home-assistant/manifests/stable",
+      path: "/v2/home-assistant/home-assistant/manifests/stable",
+    },
+    docs: "https://docs.github.com/en/packages/working-with-a-github-packages-registry/working-with-the-container-registry",
+  },
+  "cr-gitlab": {
+    name: "GitLab Container",
+    category: "🐳 容器镜像",
+    icon: "🐳",
+    sample: {
+      url: "https://registry.gitlab.com/v2/gitlab-org/gitlab-runner/manifests/latest",
+      path: "/v2/gitlab-org/gitlab-runner/manifests/latest",
+    },
+    docs: "https://docs.gitlab.com/ee/user/packages/container_registry/",
+  },
+  "cr-redhat": {
+    name: "Red Hat",
+    category: "🐳 容器镜像",
+    icon: "🐳",
+    sample: {
+      url: "https://registry.redhat.io/v2/ubi9/ubi/manifests/latest",
+      path: "/v2/ubi9/ubi/manifests/latest",
+    },
+    docs: "https://access.redhat.com/RegistryAuthentication",
+  },
+  "cr-oracle": {
+    name: "Oracle Cloud",
+    category: "🐳 容器镜像",
+    icon: "🐳",
+    sample: {
+      url: "https://container-registry.oracle.com/v2/os/oraclelinux/manifests/9",
+      path: "/v2/os/oraclelinux/manifests/9",
+    },
+    docs: "https://container-registry.oracle.com/",
+  },
+  "cr-cloudsmith": {
+    name: "Cloudsmith",
+    category: "🐳 容器镜像",
+    icon: "🐳",
+    sample: {
+      url: "https://docker.cloudsmith.io/v2/cloudsmith/examples/manifests/latest",
+      path: "/v2/cloudsmith/examples/manifests/latest",
+    },
+    docs: "https://docs.cloudsmith.com/",
+  },
+  "cr-digitalocean": {
+    name: "DigitalOcean",
+    category: "🐳 容器镜像",
+    icon: "🐳",
+    sample: {
+      url: "https://registry.digitalocean.com/v2/example/app/manifests/latest",
+      path: "/v2/example/app/manifests/latest",
+    },
+    docs: "https://docs.digitalocean.com/products/container-registry/",
+  },
+  "cr-vmware": {
+    name: "VMware",
+    category: "🐳 容器镜像",
+    icon: "🐳",
+    sample: {
+      url: "https://projects.registry.vmware.com/v2/tce/kapp/manifests/latest",
+      path: "/v2/tce/kapp/manifests/latest",
+    },
+  },
+  "cr-k8s": {
+    name: "Kubernetes",
+    category: "🐳 容器镜像",
+    icon: "🐳",
+    sample: {
+      url: "https://registry.k8s.io/v2/pause/manifests/3.9",
+      path: "/v2/pause/manifests/3.9",
+    },
+    docs: "https://github.com/kubernetes/registry.k8s.io",
+  },
+  "cr-heroku": {
+    name: "Heroku",
+    category: "🐳 容器镜像",
+    icon: "🐳",
+    sample: {
+      url: "https://registry.heroku.com/v2/example/web/manifests/latest",
+      path: "/v2/example/web/manifests/latest",
+    },
+    docs: "https://devcenter.heroku.com/articles/container-registry-and-runtime",
+  },
+  "cr-suse": {
+    name: "SUSE",
+    category: "🐳 容器镜像",
+    icon: "🐳",
+    sample: {
+      url: "https://registry.suse.com/v2/suse/sle15/manifests/latest",
+      path: "/v2/suse/sle15/manifests/latest",
+    },
+    docs: "https://registry.suse.com/",
+  },
+  "cr-opensuse": {
+    name: "openSUSE",
+    category: "🐳 容器镜像",
+    icon: "🐳",
+    sample: {
+      url: "https://registry.opensuse.org/v2/opensuse/tumbleweed/manifests/latest",
+      path: "/v2/opensuse/tumbleweed/manifests/latest",
+    },
+    docs: "https://registry.opensuse.org/",
+  },
+  "cr-gitpod": {
+    name: "Gitpod",
+    category: "🐳 容器镜像",
+    icon: "🐳",
+    sample: {
+      url: "https://registry.gitpod.io/v2/workspace/base/manifests/latest",
+      path: "/v2/workspace/base/manifests/latest",
+    },
+    docs: "https://www.gitpod.io/docs",
+  },
+
+  // 🔗 GitHub 资源
+  "release-assets.githubusercontent.com": {
+    name: "Release 资源",
+    category: "🔗 GitHub 资源",
+    icon: "🔗",
+    sample: {
+      url: "https://release-assets.githubusercontent.com/github-production-release-asset/12345678/app.zip",
+      path: "/github-production-release-asset/12345678/app.zip",
+    },
+    docs: "https://docs.github.com/en/repositories/releasing-projects-on-github",
+  },
+  "raw.githubusercontent.com": {
+    name: "Raw 文件",
+    category: "🔗 GitHub 资源",
+    icon: "🔗",
+    sample: {
+      url: "https://raw.githubusercontent.com/github/gitignore/main/Node.gitignore",
+      path: "/github/gitignore/main/Node.gitignore",
+    },
+    docs: "https://docs.github.com/en/repositories/working-with-files/using-files/viewing-and-understanding-files",
+  },
+
+  // 🌐 DNS over HTTPS
+  "cloudflare-dns.com": {
+    name: "Cloudflare",
+    category: "🌐 DNS over HTTPS",
+    icon: "🌐",
+    sample: {
+      url: "https://cloudflare-dns.com/dns-query?name=example.com",
+      path: "/dns-query?name=example.com",
+    },
+    docs: "https://developers.cloudflare.com/1.1.1.1/encryption/dns-over-https/",
+  },
+  "security.cloudflare-dns.com": {
+    name: "Cloudflare 安全",
+    category: "🌐 DNS over HTTPS",
+    icon: "🌐",
+    sample: {
+      url: "https://security.cloudflare-dns.com/dns-query?name=example.com",
+      path: "/dns-query?name=example.com",
+    },
+    docs: "https://developers.cloudflare.com/1.1.1.1/setup/#1111-for-families",
+  },
+  "family.cloudflare-dns.com": {
+    name: "Cloudflare 家庭",
+    category: "🌐 DNS over HTTPS",
+    icon: "🌐",
+    sample: {
+      url: "https://family.cloudflare-dns.com/dns-query?name=example.com",
+      path: "/dns-query?name=example.com",
+    },
+    docs: "https://developers.cloudflare.com/1.1.1.1/setup/#1111-for-families",
+  },
+  "one.one.one.one": {
+    name: "1.1.1.1",
+    category: "🌐 DNS over HTTPS",
+    icon: "🌐",
+    sample: {
+      url: "https://one.one.one.one/dns-query?name=example.com",
+      path: "/dns-query?name=example.com",
+    },
+    docs: "https://developers.cloudflare.com/1.1.1.1/encryption/dns-over-https/",
+  },
+  "dns.google": {
+    name: "Google",
+    category: "🌐 DNS over HTTPS",
+    icon: "🌐",
+    sample: {
+      url: "https://dns.google/dns-query?name=example.com",
+      path: "/dns-query?name=example.com",
+    },
+    docs: "https://developers.google.com/speed/public-dns/docs/doh",
+  },
+  "dns.quad9.net": {
+    name: "Quad9",
+    category: "🌐 DNS over HTTPS",
+    icon: "🌐",
+    sample: {
+      url: "https://dns.quad9.net/dns-query?name=example.com",
+      path: "/dns-query?name=example.com",
+    },
+    docs: "https://www.quad9.net/support/faq/",
+  },
+  "dns.nextdns.io": {
+    name: "NextDNS",
+    category: "🌐 DNS over HTTPS",
+    icon: "🌐",
+    sample: {
+      url: "https://dns.nextdns.io/dns-query?name=example.com",
+      path: "/dns-query?name=example.com",
+    },
+    docs: "https://nextdns.io/",
+  },
+  "dns.adguard.com": {
+    name: "AdGuard",
+    category: "🌐 DNS over HTTPS",
+    icon: "🌐",
+    sample: {
+      url: "https://dns.adguard.com/dns-query?name=example.com",
+      path: "/dns-query?name=example.com",
+    },
+    docs: "https://adguard-dns.io/kb/general/dns-providers/",
+  },
+  "dns.adguard-dns.com": {
+    name: "AdGuard DNS",
+    category: "🌐 DNS over HTTPS",
+    icon: "🌐",
+    sample: {
+      url: "https://dns.adguard-dns.com/dns-query?name=example.com",
+      path: "/dns-query?name=example.com",
+    },
+    docs: "https://adguard-dns.io/kb/general/dns-providers/",
+  },
+  "unfiltered.adguard-dns.com": {
+    name: "AdGuard 无过滤",
+    category: "🌐 DNS over HTTPS",
+    icon: "🌐",
+    sample: {
+      url: "https://unfiltered.adguard-dns.com/dns-query?name=example.com",
+      path: "/dns-query?name=example.com",
+    },
+    docs: "https://adguard-dns.io/kb/general/dns-providers/",
+  },
+  "family.adguard-dns.com": {
+    name: "AdGuard 家庭",
+    category: "🌐 DNS over HTTPS",
+    icon: "🌐",
+    sample: {
+      url: "https://family.adguard-dns.com/dns-query?name=example.com",
+      path: "/dns-query?name=example.com",
+    },
+    docs: "https://adguard-dns.io/kb/general/dns-providers/",
+  },
+  "doh.opendns.com": {
+    name: "OpenDNS",
+    category: "🌐 DNS over HTTPS",
+    icon: "🌐",
+    sample: {
+      url: "https://doh.opendns.com/dns-query?name=example.com",
+      path: "/dns-query?name=example.com",
+    },
+    docs: "https://support.opendns.com/",
+  },
+  "dns.alidns.com": {
+    name: "阿里 DNS",
+    category: "🌐 DNS over HTTPS",
+    icon: "🌐",
+    sample: {
+      url: "https://dns.alidns.com/dns-query?name=example.com",
+      path: "/dns-query?name=example.com",
+    },
+    docs: "https://www.alidns.com/",
+  },
+  "doh.pub": {
+    name: "DNS.pub",
+    category: "🌐 DNS over HTTPS",
+    icon: "🌐",
+    sample: {
+      url: "https://doh.pub/dns-query?name=example.com",
+      path: "/dns-query?name=example.com",
+    },
+    docs: "https://www.dnspod.cn/",
+  },
+  "doh.360.cn": {
+    name: "360 DNS",
+    category: "🌐 DNS over HTTPS",
+    icon: "🌐",
+    sample: {
+      url: "https://doh.360.cn/dns-query?name=example.com",
+      path: "/dns-query?name=example.com",
+    },
+    docs: "https://sdns.360.net/",
+  },
+  "dns.huawei.com": {
+    name: "华为 DNS",
+    category: "🌐 DNS over HTTPS",
+    icon: "🌐",
+    sample: {
+      url: "https://dns.huawei.com/dns-query?name=example.com",
+      path: "/dns-query?name=example.com",
+    },
+  },
+  "dns.mullvad.net": {
+    name: "Mullvad",
+    category: "🌐 DNS over HTTPS",
+    icon: "🌐",
+    sample: {
+      url: "https://dns.mullvad.net/dns-query?name=example.com",
+      path: "/dns-query?name=example.com",
+    },
+    docs: "https://mullvad.net/en/help/dns-over-https-and-dns-over-tls",
+  },
+  "dns.controld.com": {
+    name: "Control D",
+    category: "🌐 DNS over HTTPS",
+    icon: "🌐",
+    sample: {
+      url: "https://dns.controld.com/dns-query?name=example.com",
+      path: "/dns-query?name=example.com",
+    },
+    docs: "https://docs.controld.com/",
+  },
+
+  // 📚 其他平台
+  arxiv: {
+    name: "arXiv",
+    category: "📚 其他平台",
+    icon: "📄",
+    sample: {
+      url: "https://arxiv.org/pdf/1706.03762",
+      path: "/pdf/1706.03762",
+    },
+    docs: "https://info.arxiv.org/help/",
+  },
+  fdroid: {
+    name: "F-Droid",
+    category: "📚 其他平台",
+    icon: "📱",
+    sample: {
+      url: "https://f-droid.org/repo/index-v1.jar",
+      path: "/repo/index-v1.jar",
+    },
+    docs: "https://f-droid.org/docs/",
+  },
+  jenkins: {
+    name: "Jenkins",
+    category: "📚 其他平台",
+    icon: "🤵",
+    sample: {
+      url: "https://updates.jenkins.io/update-center.json",
+      path: "/update-center.json",
+    },
+    docs: "https://www.jenkins.io/doc/",
+  },
+};
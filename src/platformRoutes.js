@@ -0,0 +1,134 @@
+import { classifyGitHubUrl } from "./classifyGitHubUrl.js";
+
+/**
+ * Declarative routing rules for platforms that share a hostname or need
+ * their path rewritten. Adding a platform with special routing is a data
+ * change here instead of new control flow in the converter.
+ *
+ * - key: platform key in PLATFORMS the rule routes to
+ * - host: hostname the rule applies to
+ * - path: optional predicate on the URL pathname, the rule matches any path when omitted
+ * - priority: higher priority rules are tried first for the same host
+ * - rewrite: optional path rewrite applied when converting to Xget
+ * - restore: optional inverse of rewrite used by reverse conversion
+ * - description: what the rewrite does, shown in the conversion trace
+ *
+ * @type {Array<{key: string, host: string, path?: RegExp, priority: number, rewrite?: function(string): string, restore?: function(string): string, description?: string}>}
+ */
+export const PLATFORM_ROUTES = [
+  // ghcr.io serves both Homebrew bottles and regular container images
+  {
+    key: "homebrew-bottles",
+    host: "ghcr.io",
+    path: /\/v2\/homebrew\//,
+    priority: 20,
+  },
+  {
+    key: "cr-ghcr",
+    host: "ghcr.io",
+    priority: 10,
+  },
+
+  // github.com serves the Homebrew organization and everything else
+  {
+    key: "homebrew",
+    host: "github.com",
+    path: /^\/homebrew\//i,
+    priority: 20,
+    // The homebrew prefix already points at github.com/Homebrew
+    rewrite: (path) => stripPrefix(path, /^\/homebrew/i),
+    description:
+      "去掉 /homebrew 前缀（homebrew 前缀已指向 github.com/Homebrew）",
+  },
+  {
+    key: "gh",
+    host: "github.com",
+    priority: 10,
+    // Blob links become raw links: tags use refs/tags, SHAs are kept and branches use refs/heads
+    rewrite: (path) => classifyGitHubUrl(path).path,
+    restore: (path) =>
+      path.replace(
+        /^\/([^\/]+)\/([^\/]+)\/raw\/(?:refs\/(?:heads|tags)\/|(?=[0-9a-f]{7,40}\/))(.+)$/,
+        "/$1/$2/blob/$3"
+      ),
+    description: "GitHub blob 页面链接改写为 raw 下载链接",
+  },
+
+  // Raw gist files are served by the gist prefix
+  {
+    key: "gist",
+    host: "gist.githubusercontent.com",
+    priority: 10,
+  },
+
+  // The homebrew-api prefix already includes /api
+  {
+    key: "homebrew-api",
+    host: "formulae.brew.sh",
+    priority: 10,
+    rewrite: (path) => stripPrefix(path, /^\/api/i),
+    description: "去掉 /api 前缀（homebrew-api 前缀已包含 /api）",
+  },
+];
+
+/**
+ * Remove a leading path prefix, collapsing a bare "/" to an empty path
+ * @param {string} path - URL path, optionally with query string
+ * @param {RegExp} prefix - Anchored prefix pattern
+ * @returns {string} Path without the prefix
+ */
+function stripPrefix(path, prefix) {
+  const stripped = path.replace(prefix, "");
+  return stripped === "/" ? "" : stripped;
+}
+
+/**
+ * Find the highest priority routing rule matching a hostname and path
+ * Rules pointing at platform keys missing from the catalog are ignored
+ * @param {string} hostname - URL hostname
+ * @param {string} pathname - URL pathname
+ * @param {Object.<string, string>} platforms - Platform key to base URL mappings
+ * @returns {?Object} Matching rule or null
+ */
+export function findPlatformRoute(hostname, pathname, platforms) {
+  return findPlatformRoutes(hostname, pathname, platforms)[0] ?? null;
+}
+
+/**
+ * Find all routing rules matching a hostname and path, highest priority first
+ * @param {string} hostname - URL hostname
+ * @param {string} pathname - URL pathname
+ * @param {Object.<string, string>} platforms - Platform key to base URL mappings
+ * @returns {Array<Object>} Matching rules
+ */
+export function findPlatformRoutes(hostname, pathname, platforms) {
+  return PLATFORM_ROUTES.filter(
+    (route) =>
+      route.host === hostname &&
+      route.key in platforms &&
+      (!route.path || route.path.test(pathname))
+  ).sort((a, b) => b.priority - a.priority);
+}
+
+/**
+ * Check whether a hostname is handled by routing rules
+ * Hosts shared by several platforms must not be resolved by exact host match
+ * @param {string} hostname - URL hostname
+ * @returns {boolean} True if at least one rule targets the host
+ */
+export function hasPlatformRoutes(hostname) {
+  return PLATFORM_ROUTES.some((route) => route.host === hostname);
+}
+
+/**
+ * Find the rule holding the path rewrite for a platform key
+ * @param {string} key - Platform key
+ * @returns {?Object} Rule with rewrite/restore functions or null
+ */
+export function findPlatformRewrite(key) {
+  return (
+    PLATFORM_ROUTES.find(
+      (route) => route.key === key && (route.rewrite || route.restore)
+    ) ?? null
+  );
+}
@@ -0,0 +1,43 @@
+/**
+ * Probe an Xget instance for reachability and latency
+ * The request is sent in no-cors mode because instances rarely allow
+ * cross-origin reads, so any opaque response counts as reachable.
+ * @param {string} url - Xget instance URL
+ * @param {Object} [options] - Probe options
+ * @param {number} [options.timeout=5000] - Time limit in milliseconds
+ * @param {function(string, RequestInit): Promise<Response>} [options.fetch] - fetch implementation, defaults to the global fetch
+ * @returns {Promise<{status: string, latency: ?number, error: ?string}>} Result with status "healthy", "unhealthy", "timeout" or "unreachable" and latency in milliseconds
+ */
+export async function probeXgetInstance(
+  url,
+  { timeout = 5000, fetch = globalThis.fetch } = {}
+) {
+  const started = performance.now();
+
+  try {
+    const response = await fetch(url, {
+      method: "HEAD",
+      mode: "no-cors",
+      cache: "no-store",
+      redirect: "follow",
+      signal: AbortSignal.timeout(timeout),
+    });
+    const latency = Math.round(performance.now() - started);
+
+    // Opaque responses hide the status, readable ones must not be server errors
+    if (response.type !== "opaque" && response.status >= 500) {
+      return {
+        status: "unhealthy",
+        latency,
+        error: `HTTP ${response.status}`,
+      };
+    }
+
+    return { status: "healthy", latency, error: null };
+  } catch (error) {
+    if (error.name === "TimeoutError" || error.name === "AbortError") {
+      return { status: "timeout", latency: null, error: "请求超时" };
+    }
+    return { status: "unreachable", latency: null, error: error.message };
+  }
+}
@@ -0,0 +1,110 @@
+/**
+ * Mask a secret, keeping a short prefix so the user can tell which one it was
+ * @param {string} value - Secret value
+ * @returns {string} Masked value such as "sk-p***"
+ */
+export function maskSecretValue(value) {
+  return value.length > 8 ? `${value.slice(0, 4)}***` : "***";
+}
+
+/**
+ * Remove or mask the secrets found by scanUrlSecrets
+ * - strip: drops the userinfo, the affected parameters and the fragment
+ * - mask: replaces each secret with a masked value
+ * Keys found in the path cannot be removed without breaking it and are
+ * masked in both modes. Untouched parameters keep their original encoding.
+ * @param {string} url - URL that was scanned
+ * @param {Array<{location: string, name: ?string, value: string}>} findings - Findings of scanUrlSecrets
+ * @param {string} mode - "strip" or "mask"
+ * @returns {string} Redacted URL
+ */
+export function redactUrlSecrets(url, findings, mode) {
+  const urlObj = new URL(url);
+  const strip = mode === "strip";
+  const byLocation = (location) =>
+    findings.filter((finding) => finding.location === location);
+
+  if (byLocation("userinfo").length > 0) {
+    if (strip) {
+      urlObj.username = "";
+      urlObj.password = "";
+    } else if (urlObj.password) {
+      urlObj.password = "***";
+    } else {
+      urlObj.username = "***";
+    }
+  }
+
+  const redactParameters = (raw, location) =>
+    raw
+      .split("&")
+      .flatMap((pair) => {
+        const separator = pair.indexOf("=");
+        if (separator === -1) {
+          return [pair];
+        }
+        const rawName = pair.slice(0, separator);
+        const name = safeDecode(rawName);
+        const matches = byLocation(location).filter(
+          (finding) => finding.name === name
+        );
+        if (matches.length === 0) {
+          return [pair];
+        }
+        if (strip) {
+          return [];
+        }
+
+        let value = safeDecode(pair.slice(separator + 1));
+        for (const finding of matches) {
+          value = value.replaceAll(
+            finding.value,
+            maskSecretValue(finding.value)
+          );
+        }
+        return [`${rawName}=${encodeURIComponent(value)}`];
+      })
+      .join("&");
+
+  if (byLocation("query").length > 0) {
+    urlObj.search = redactParameters(urlObj.search.slice(1), "query");
+  }
+
+  for (const finding of byLocation("path")) {
+    urlObj.pathname = urlObj.pathname.replaceAll(
+      finding.value,
+      maskSecretValue(finding.value)
+    );
+  }
+
+  if (byLocation("fragment").length > 0) {
+    const fragment = urlObj.hash.slice(1);
+    if (strip) {
+      urlObj.hash = "";
+    } else if (fragment.includes("=")) {
+      urlObj.hash = redactParameters(fragment, "fragment");
+    } else {
+      urlObj.hash = byLocation("fragment").reduce(
+        (hash, finding) =>
+          hash.replaceAll(finding.value, maskSecretValue(finding.value)),
+        fragment
+      );
+    }
+  }
+
+  return urlObj.href;
+}
+
+/**
+ * Decode a URL component, keeping it as-is when it is malformed
+ * Query strings use + for spaces
+ * @param {string} text - Encoded text
+ * @returns {string} Decoded text
+ */
+function safeDecode(text) {
+  try {
+    return decodeURIComponent(text.replace(/\+/g, " "));
+  } catch {
+    return text;
+  }
+}
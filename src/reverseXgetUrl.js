@@ -0,0 +1,65 @@
+/**
+ * Reverse an Xget URL back into the original upstream URL
+ * Recognizes one of the given Xget domains, looks up the platform prefix
+ * and undoes the path rewrites applied during conversion
+ * @param {string} url - Xget URL to reverse
+ * @param {string[]} xgetDomains - Known Xget domains (e.g. https://xget.example.com)
+ * @param {Object.<string, string>} platforms - Platform key to base URL mappings
+ * @param {Array<{key: string, restore?: function(string): string}>} [routes] - Routing rules whose restore functions undo path rewrites
+ * @returns {Object|null} Object with key, baseUrl, xgetDomain and originalUrl or null if not recognized
+ */
+export function reverseXgetUrl(url, xgetDomains, platforms, routes = []) {
+  let urlObj;
+  try {
+    urlObj = new URL(url);
+  } catch {
+    return null;
+  }
+
+  for (const domain of xgetDomains) {
+    let domainObj;
+    try {
+      domainObj = new URL(domain);
+    } catch {
+      continue;
+    }
+
+    if (domainObj.origin !== urlObj.origin) {
+      continue;
+    }
+
+    // Xget may be deployed under a sub path, strip it before reading the prefix
+    const domainPath = domainObj.pathname.replace(/\/$/, "");
+    if (domainPath && !urlObj.pathname.startsWith(domainPath + "/")) {
+      continue;
+    }
+
+    const rest = urlObj.pathname.slice(domainPath.length);
+    const prefixMatch = rest.match(/^\/([^\/]+)(\/.*)?$/);
+    if (!prefixMatch) {
+      continue;
+    }
+
+    const [, key, path = ""] = prefixMatch;
+    const baseUrl = platforms[key];
+    if (!baseUrl) {
+      continue;
+    }
+
+    // Undo path rewrites declared by routing rules (e.g. GitHub raw → blob)
+    const restoreRule = routes.find(
+      (route) => route.key === key && route.restore
+    );
+    const originalPath = restoreRule ? restoreRule.restore(path) : path;
+
+    return {
+      key,
+      baseUrl,
+      xgetDomain: domainObj.origin + domainPath,
+      originalUrl:
+        baseUrl.replace(/\/$/, "") + originalPath + urlObj.search + urlObj.hash,
+    };
+  }
+
+  return null;
+}
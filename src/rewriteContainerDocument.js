@@ -0,0 +1,208 @@
+import { rewriteShellCommand } from "./rewriteShellCommand.js";
+
+/**
+ * Supported document kinds
+ * - files: file names recognized when a file is dropped, Kubernetes
+ *   manifests have no conventional name
+ * - filename: default name of the downloaded result
+ * - sniff: recognizes pasted content, tried in order
+ * @type {Object.<string, {label: string, files?: RegExp, filename: string, sniff: RegExp}>}
+ */
+const DOCUMENT_KINDS = {
+  dockerfile: {
+    label: "Dockerfile",
+    filename: "Dockerfile",
+    files: /(?:^|\.)(?:Dockerfile|Containerfile)(?:\..*)?$|\.dockerfile$/i,
+    sniff: /^\s*FROM\s+\S/im,
+  },
+  kubernetes: {
+    label: "Kubernetes YAML",
+    filename: "manifest.yaml",
+    sniff: /^apiVersion:[\s\S]*^kind:|^kind:[\s\S]*^apiVersion:/m,
+  },
+  compose: {
+    label: "Compose",
+    filename: "compose.yaml",
+    files: /^(?:docker-)?compose(?:\.[\w-]+)?\.ya?ml$/i,
+    sniff: /^/,
+  },
+};
+
+/**
+ * Matches Dockerfile FROM instructions: flags, image and optional stage name
+ * @type {RegExp}
+ */
+const FROM_PATTERN = /^(\s*FROM\s+(?:--\S+\s+)*)(\S+)(\s+AS\s+(\S+))?/i;
+
+/**
+ * Matches the --from flag of Dockerfile COPY instructions
+ * @type {RegExp}
+ */
+const COPY_FROM_PATTERN = /^(\s*COPY\s+(?:--\S+\s+)*?--from=)(\S+)/i;
+
+/**
+ * Matches Dockerfile instructions whose arguments are shell commands or URLs
+ * @type {RegExp}
+ */
+const SHELL_INSTRUCTION_PATTERN = /^(\s*(?:RUN|ADD)\s+)(.*)$/i;
+
+/**
+ * Matches YAML `image:` fields of compose services and Kubernetes containers
+ * @type {RegExp}
+ */
+const YAML_IMAGE_PATTERN =
+  /^(\s*(?:-\s+)?image:\s*)(['"]?)([^'"\s#]+)\2(\s*(?:#.*)?)$/;
+
+/**
+ * Shell commands inside YAML (compose command:, Kubernetes args:) worth rewriting
+ * @type {RegExp}
+ */
+const YAML_COMMAND_PATTERN = /\b(?:curl|wget|git\s+clone|pip3?\s+install)\b/;
+
+/**
+ * Rewrite a Dockerfile, compose file or Kubernetes manifest to go through Xget
+ * - FROM, COPY --from and YAML image: references use the matching cr-* prefix
+ * - URLs in RUN/ADD instructions and in YAML shell commands are rewritten
+ *   like shell commands (curl, wget, git clone, pip install, ...)
+ * Build stage names, scratch and references containing variables are left
+ * alone. Lines are rewritten in place, so the document keeps its layout and
+ * line numbers.
+ * @param {string} content - Document content
+ * @param {Object} options - Rewrite options
+ * @param {string} [options.filename] - Name of the dropped file, used to pick the kind
+ * @param {function(string): ?{key: string, xgetUrl: string}} options.convertUrl - Converts an upstream URL, returns null when unsupported
+ * @param {function(string): ?string} options.convertImage - Converts an image reference, returns null when unsupported
+ * @param {function(string): ?string} [options.normalizeGitRemote] - Turns an SSH/scp-style git remote into an HTTPS URL
+ * @returns {{kind: string, label: string, filename: string, output: string, changes: Array<{line: number, kind: string, from: string, to: string}>, diff: Array<{line: number, before: string, after: string}>}} Rewritten document, list of changes and changed lines
+ */
+export function rewriteContainerDocument(
+  content,
+  { filename = "", convertUrl, convertImage, normalizeGitRemote }
+) {
+  const kind = detectKind(content, filename);
+  const lines = content.split("\n");
+  const changes = [];
+
+  const replaceImage = (image, line) => {
+    // Variables (${TAG}, $IMAGE) cannot be resolved without the build arguments
+    const converted = image.includes("$") ? null : convertImage(image);
+    if (!converted) {
+      return image;
+    }
+    changes.push({ line, kind: "image", from: image, to: converted });
+    return converted;
+  };
+
+  const rewriteCommand = (command, line) => {
+    const result = rewriteShellCommand(command, {
+      convertUrl,
+      normalizeGitRemote,
+      convertImage,
+    });
+    changes.push(...result.changes.map((change) => ({ ...change, line })));
+    return result.output;
+  };
+
+  const output =
+    kind === "dockerfile"
+      ? rewriteDockerfile(lines, replaceImage, rewriteCommand)
+      : lines.map((text, index) => {
+          const line = index + 1;
+          const image = text.match(YAML_IMAGE_PATTERN);
+          if (image) {
+            const [, before, quote, reference, after] = image;
+            return (
+              before + quote + replaceImage(reference, line) + quote + after
+            );
+          }
+          return YAML_COMMAND_PATTERN.test(text)
+            ? rewriteCommand(text, line)
+            : text;
+        });
+
+  const diff = [];
+  output.forEach((after, index) => {
+    if (after !== lines[index]) {
+      diff.push({ line: index + 1, before: lines[index], after });
+    }
+  });
+
+  return {
+    kind,
+    label: DOCUMENT_KINDS[kind].label,
+    filename: filename || DOCUMENT_KINDS[kind].filename,
+    output: output.join("\n"),
+    changes,
+    diff,
+  };
+}
+
+/**
+ * Pick the document kind from the file name, falling back to the content
+ * @param {string} content - Document content
+ * @param {string} filename - File name, may be empty
+ * @returns {string} Kind key of DOCUMENT_KINDS
+ */
+function detectKind(content, filename) {
+  const basename = filename.split(/[\\/]/).pop();
+  const kinds = Object.entries(DOCUMENT_KINDS);
+  const [key] =
+    (basename && kinds.find(([, kind]) => kind.files?.test(basename))) ||
+    kinds.find(([, kind]) => kind.sniff.test(content));
+  return key;
+}
+
+/**
+ * Rewrite the lines of a Dockerfile
+ * RUN and ADD instructions continued with a trailing backslash are rewritten
+ * line by line
+ * @param {string[]} lines - Dockerfile lines
+ * @param {function(string, number): string} replaceImage - Image reference rewriter
+ * @param {function(string, number): string} rewriteCommand - Shell command rewriter
+ * @returns {string[]} Rewritten lines
+ */
+function rewriteDockerfile(lines, replaceImage, rewriteCommand) {
+  const stages = new Set();
+  let inShellInstruction = false;
+
+  return lines.map((text, index) => {
+    const line = index + 1;
+
+    if (inShellInstruction) {
+      inShellInstruction = /\\\s*$/.test(text);
+      return /^\s*#/.test(text) ? text : rewriteCommand(text, line);
+    }
+
+    const from = text.match(FROM_PATTERN);
+    if (from) {
+      const [whole, before, image, stageClause = "", stage] = from;
+      const rewritten =
+        image.toLowerCase() === "scratch" || stages.has(image.toLowerCase())
+          ? image
+          : replaceImage(image, line);
+      if (stage) {
+        stages.add(stage.toLowerCase());
+      }
+      return before + rewritten + stageClause + text.slice(whole.length);
+    }
+
+    const copyFrom = text.match(COPY_FROM_PATTERN);
+    if (copyFrom) {
+      const [whole, before, source] = copyFrom;
+      // --from names a build stage (or its index) far more often than an image
+      if (stages.has(source.toLowerCase()) || /^\d+$/.test(source)) {
+        return text;
+      }
+      return before + replaceImage(source, line) + text.slice(whole.length);
+    }
+
+    const instruction = text.match(SHELL_INSTRUCTION_PATTERN);
+    if (instruction) {
+      const [, keyword, command] = instruction;
+      inShellInstruction = /\\\s*$/.test(text);
+      return keyword + rewriteCommand(command, line);
+    }
+
+    return text;
+  });
+}
@@ -0,0 +1,349 @@
+/**
+ * Supported lockfile formats
+ * - files: file names recognized when a file is dropped
+ * - filename: default name of the downloaded result
+ * - sniff: recognizes pasted content, tried in order
+ * @type {Object.<string, {label: string, files: RegExp, filename: string, sniff: RegExp}>}
+ */
+const LOCKFILE_FORMATS = {
+  npm: {
+    label: "package-lock.json",
+    files: /^(?:package-lock|npm-shrinkwrap)\.json$/i,
+    filename: "package-lock.json",
+    sniff: /^\s*\{[\s\S]*"lockfileVersion"\s*:/,
+  },
+  yarn: {
+    label: "yarn.lock",
+    files: /^yarn\.lock$/i,
+    filename: "yarn.lock",
+    sniff: /^(?:# yarn lockfile v1|__metadata:)/m,
+  },
+  pnpm: {
+    label: "pnpm-lock.yaml",
+    files: /^pnpm-lock\.ya?ml$/i,
+    filename: "pnpm-lock.yaml",
+    sniff: /^lockfileVersion:/m,
+  },
+  poetry: {
+    label: "poetry.lock",
+    files: /^poetry\.lock$/i,
+    filename: "poetry.lock",
+    sniff: /^\[\[package\]\]/m,
+  },
+  pip: {
+    label: "requirements.txt",
+    files: /\.txt$/i,
+    filename: "requirements.txt",
+    sniff: /^/,
+  },
+};
+
+/**
+ * Hosts serving the same content as a platform base URL
+ * registry.yarnpkg.com is an alias of the npm registry
+ * @type {Object.<string, string>}
+ */
+const UPSTREAM_ALIASES = {
+  "registry.yarnpkg.com": "registry.npmjs.org",
+};
+
+/**
+ * Upstream package index used when requirements.txt does not name one
+ * @type {string}
+ */
+const DEFAULT_PYPI_INDEX = "https://pypi.org/simple/";
+
+/**
+ * Matches an http(s) URL inside a lockfile line
+ * @type {RegExp}
+ */
+const URL_PATTERN = /https?:\/\/[^\s'"`,}\]]+/g;
+
+/**
+ * Rewrite the download URLs of a lockfile to go through Xget
+ * Only URLs are replaced in place, so integrity hashes, comments and the
+ * file's formatting stay as they are. Entries that carry no download URL
+ * (pnpm packages resolved by integrity only, poetry packages from PyPI,
+ * Yarn 2+ resolutions) cannot be redirected by the lockfile and are
+ * reported as skipped. requirements.txt gets an Xget --index-url when it
+ * does not specify an index, so plain `name==version --hash=...` lines are
+ * downloaded through Xget as well.
+ * @param {string} content - Lockfile content
+ * @param {Object} options - Rewrite options
+ * @param {string} [options.filename] - Name of the dropped file, used to pick the format
+ * @param {function(string): ?{key: string, xgetUrl: string}} options.convertUrl - Converts an upstream URL, returns null when unsupported
+ * @returns {{format: string, label: string, filename: string, output: string, entries: Array<{line: number, name: string, status: string, from: ?string, to: ?string, reason: ?string}>}} Rewritten file and one entry per download, status is "rewritten" or "skipped"
+ */
+export function rewriteLockfile(content, { filename = "", convertUrl }) {
+  const format = detectFormat(content, filename);
+  const entries = [];
+  const lines = content.split("\n");
+
+  const rewriteUrl = (url, line, name) => {
+    // Fragments carry hashes (yarn #sha1, pip #sha256=) and stay untouched
+    const hashIndex = url.indexOf("#");
+    const base = hashIndex === -1 ? url : url.slice(0, hashIndex);
+    const fragment = hashIndex === -1 ? "" : url.slice(hashIndex);
+
+    const converted = convertUrl(resolveAlias(base));
+    const entry = {
+      line,
+      name: name ?? getFileName(base),
+      status: converted ? "rewritten" : "skipped",
+      from: url,
+      to: converted ? converted.xgetUrl + fragment : null,
+      reason: converted ? null : "没有匹配的 Xget 平台或已是 Xget 链接",
+    };
+    entries.push(entry);
+    return entry.to ?? url;
+  };
+
+  const skip = (line, name, reason) =>
+    entries.push({
+      line,
+      name,
+      status: "skipped",
+      from: null,
+      to: null,
+      reason,
+    });
+
+  let output;
+  switch (format) {
+    case "npm":
+      output = mapLines(lines, (text, line) =>
+        text.replace(
+          /("resolved"\s*:\s*")([^"]+)(")/,
+          (match, before, url, after) =>
+            /^https?:/.test(url)
+              ? before + rewriteUrl(url, line) + after
+              : match
+        )
+      );
+      break;
+
+    case "yarn":
+      output = mapLines(lines, (text, line) => {
+        // Yarn 2+ records "name@npm:version" resolutions instead of URLs
+        const resolution = text.match(/^\s+resolution:\s*"?([^"]+)"?/);
+        if (resolution && !/https?:/.test(resolution[1])) {
+          skip(
+            line,
+            resolution[1],
+            "Yarn 2+ 锁文件不含下载地址，请在 .yarnrc.yml 中设置 npmRegistryServer"
+          );
+          return text;
+        }
+        return resolution || /^\s+resolved\s/.test(text)
+          ? text.replace(URL_PATTERN, (url) => rewriteUrl(url, line))
+          : text;
+      });
+      break;
+
+    case "pnpm": {
+      let packageName = "";
+      output = mapLines(lines, (text, line) => {
+        const key = text.match(/^ {2}(['"]?)(\S.*?)\1:\s*$/);
+        if (key) {
+          packageName = key[2].replace(/^\//, "");
+        }
+        if (!/^\s+resolution:/.test(text)) {
+          return text;
+        }
+        if (!/tarball:/.test(text)) {
+          skip(
+            line,
+            packageName,
+            "仅记录了 integrity，下载地址由 .npmrc 中的 registry 决定"
+          );
+          return text;
+        }
+        return text.replace(
+          /(tarball:\s*['"]?)(https?:\/\/[^\s'",}]+)/,
+          (match, before, url) => before + rewriteUrl(url, line, packageName)
+        );
+      });
+      break;
+    }
+
+    case "poetry":
+      output = rewritePoetryLock(lines, rewriteUrl, skip);
+      break;
+
+    default:
+      output = rewriteRequirements(lines, rewriteUrl, entries, convertUrl);
+  }
+
+  entries.sort((a, b) => a.line - b.line);
+
+  return {
+    format,
+    label: LOCKFILE_FORMATS[format].label,
+    filename: filename || LOCKFILE_FORMATS[format].filename,
+    output,
+    entries,
+  };
+}
+
+/**
+ * Pick the lockfile format from the file name, falling back to the content
+ * @param {string} content - Lockfile content
+ * @param {string} filename - File name, may be empty
+ * @returns {string} Format key of LOCKFILE_FORMATS
+ */
+function detectFormat(content, filename) {
+  const basename = filename.split(/[\\/]/).pop();
+  const formats = Object.entries(LOCKFILE_FORMATS);
+  const [key] =
+    (basename && formats.find(([, format]) => format.files.test(basename))) ||
+    formats.find(([, format]) => format.sniff.test(content));
+  return key;
+}
+
+/**
+ * Map every line with its 1-based line number and join them back
+ * @param {string[]} lines - File lines
+ * @param {function(string, number): string} mapper - Line rewriter
+ * @returns {string} Rewritten content
+ */
+function mapLines(lines, mapper) {
+  return lines.map((text, index) => mapper(text, index + 1)).join("\n");
+}
+
+/**
+ * Rewrite poetry.lock: only packages from an explicit source carry a URL
+ * @param {string[]} lines - File lines
+ * @param {function(string, number, string=): string} rewriteUrl - URL rewriter
+ * @param {function(number, string, string): void} skip - Records a skipped entry
+ * @returns {string} Rewritten content
+ */
+function rewritePoetryLock(lines, rewriteUrl, skip) {
+  let current = null;
+  const finishPackage = () => {
+    if (current && !current.hasUrl) {
+      skip(
+        current.line,
+        current.name,
+        "来自 PyPI 的包不含下载地址，请在 pyproject.toml 中添加 Xget 源"
+      );
+    }
+    current = null;
+  };
+
+  const output = mapLines(lines, (text, line) => {
+    if (/^\[\[package\]\]/.test(text)) {
+      finishPackage();
+      current = { line, name: "", hasUrl: false };
+      return text;
+    }
+    if (/^\[(?!package\.)/.test(text)) {
+      finishPackage();
+      return text;
+    }
+    if (!current) {
+      return text;
+    }
+
+    const field = text.match(/^(name|version)\s*=\s*"([^"]*)"/);
+    if (field) {
+      current.name += field[1] === "name" ? field[2] : `==${field[2]}`;
+      return text;
+    }
+    if (/^(?:url|reference)\s*=\s*"https?:/.test(text)) {
+      current.hasUrl = true;
+      return text.replace(URL_PATTERN, (url) =>
+        rewriteUrl(url, line, current.name)
+      );
+    }
+    return text;
+  });
+  finishPackage();
+
+  return output;
+}
+
+/**
+ * Rewrite requirements.txt: index options and direct URL references are
+ * rewritten, and an Xget index is added when the file names none
+ * @param {string[]} lines - File lines
+ * @param {function(string, number, string=): string} rewriteUrl - URL rewriter
+ * @param {Array<Object>} entries - Entries to append the added index to
+ * @param {function(string): ?{key: string, xgetUrl: string}} convertUrl - Converts an upstream URL
+ * @returns {string} Rewritten content
+ */
+function rewriteRequirements(lines, rewriteUrl, entries, convertUrl) {
+  let hasIndex = false;
+  let hasRequirements = false;
+
+  const output = mapLines(lines, (text, line) => {
+    const trimmed = text.trim();
+    if (!trimmed || trimmed.startsWith("#")) {
+      return text;
+    }
+
+    const option = trimmed.match(
+      /^(--index-url|-i|--extra-index-url|--find-links|-f)[\s=]/
+    );
+    if (option) {
+      hasIndex ||= option[1] === "--index-url" || option[1] === "-i";
+      return text.replace(URL_PATTERN, (url) =>
+        rewriteUrl(url, line, option[1])
+      );
+    }
+    if (!trimmed.startsWith("-")) {
+      hasRequirements = true;
+    }
+    return text.replace(URL_PATTERN, (url) => rewriteUrl(url, line));
+  });
+
+  if (hasIndex || !hasRequirements) {
+    return output;
+  }
+
+  const index = convertUrl(DEFAULT_PYPI_INDEX);
+  if (!index) {
+    return output;
+  }
+  entries.push({
+    line: 1,
+    name: "--index-url（新增）",
+    status: "rewritten",
+    from: DEFAULT_PYPI_INDEX,
+    to: index.xgetUrl,
+    reason: null,
+  });
+  return `--index-url ${index.xgetUrl}\n${output}`;
+}
+
+/**
+ * Replace an alias host with the host of the matching platform base URL
+ * @param {string} url - Upstream URL
+ * @returns {string} URL on the canonical host
+ */
+function resolveAlias(url) {
+  try {
+    const urlObj = new URL(url);
+    const host = UPSTREAM_ALIASES[urlObj.hostname];
+    if (host) {
+      urlObj.hostname = host;
+      return urlObj.href;
+    }
+  } catch {
+    // Invalid URLs are rejected by convertUrl
+  }
+  return url;
+}
+
+/**
+ * Get the decoded file name at the end of a URL path
+ * @param {string} url - Download URL
+ * @returns {string} File name, or the URL itself when it has none
+ */
+function getFileName(url) {
+  const name = url.split("?")[0].split("/").filter(Boolean).pop();
+  try {
+    return name ? decodeURIComponent(name) : url;
+  } catch {
+    return name;
+  }
+}
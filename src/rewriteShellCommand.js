@@ -0,0 +1,187 @@
+/**
+ * Matches http(s) URLs inside a shell command
+ * Shell metacharacters and quotes terminate the URL
+ * @type {RegExp}
+ */
+const URL_PATTERN = /https?:\/\/[^\s'"`<>|;&()]+/g;
+
+/**
+ * Matches SSH, git:// and scp-style git remotes inside a git command
+ * @type {RegExp}
+ */
+const GIT_REMOTE_PATTERN =
+  /(?:(?:ssh|git|git\+ssh|ssh\+git):\/\/[^\s'"`<>|;&()]+|\b[\w.-]+@[\w.-]+\.[a-z]{2,}:[^\s'"`<>|;&()]+)/gi;
+
+/**
+ * Matches segments that run git
+ * @type {RegExp}
+ */
+const GIT_COMMAND_PATTERN = /^\s*(?:sudo\s+)?git\s/;
+
+/**
+ * Matches `docker pull`-style commands and captures the image reference
+ * @type {RegExp}
+ */
+const IMAGE_PULL_PATTERN =
+  /^(\s*(?:sudo\s+)?(?:docker|podman|nerdctl|crictl)\s+(?:image\s+)?pull\s+(?:-{1,2}[\w-]+(?:=\S+)?\s+)*)([^\s'"`|;&]+)/;
+
+/**
+ * Package manager install commands that can be pointed at an Xget registry
+ * when the command does not already specify one
+ * @type {Array<{pattern: RegExp, skip: RegExp, upstream: string, flag: function(string): string}>}
+ */
+const REGISTRY_INJECTIONS = [
+  {
+    pattern:
+      /^(\s*(?:sudo\s+)?(?:npm|pnpm|yarn)\s+(?:install|i|add|ci)(?=\s|$))/,
+    skip: /--registry\b/,
+    upstream: "https://registry.npmjs.org/",
+    flag: (registry) => ` --registry=${registry}`,
+  },
+  {
+    pattern:
+      /^(\s*(?:sudo\s+)?(?:python3?\s+-m\s+)?pip3?\s+(?:install|download)(?=\s|$))/,
+    // The index may also be attached (-ihttps://..., -i=..., --index-url=...)
+    skip: /(?:^|\s)(?:-i|--index-url)/,
+    upstream: "https://pypi.org/simple/",
+    flag: (index) => ` --index-url ${index}`,
+  },
+];
+
+/**
+ * Separators between commands on a single line (kept in the output as-is)
+ * @type {RegExp}
+ */
+const COMMAND_SEPARATOR = /(\s*(?:&&|\|\||;|\|)\s*)/;
+
+/**
+ * Rewrite a shell command line or small script to go through Xget
+ * Every URL the converter can resolve is replaced, git SSH remotes are
+ * switched to HTTPS, `docker pull` image references are rewritten and
+ * npm/pip installs get an Xget registry flag.
+ * Unrecognized parts of the command are left untouched.
+ * @param {string} script - Shell command or script
+ * @param {Object} options - Conversion callbacks
+ * @param {function(string): ?{key: string, xgetUrl: string}} options.convertUrl - Converts an upstream URL, returns null when unsupported
+ * @param {function(string): ?string} [options.normalizeGitRemote] - Turns an SSH/scp-style git remote into an HTTPS URL
+ * @param {function(string): ?string} [options.convertImage] - Converts an image reference, returns null when unsupported
+ * @returns {{output: string, changes: Array<{line: number, kind: string, from: string, to: string}>}} Rewritten script and list of changes
+ */
+export function rewriteShellCommand(
+  script,
+  { convertUrl, normalizeGitRemote, convertImage }
+) {
+  const changes = [];
+
+  const output = script
+    .split("\n")
+    .map((line, index) => {
+      const lineNumber = index + 1;
+
+      return line
+        .split(COMMAND_SEPARATOR)
+        .map((segment, segmentIndex) => {
+          // Odd indexes are the captured separators
+          if (segmentIndex % 2 === 1) {
+            return segment;
+          }
+          return rewriteSegment(segment, lineNumber, changes, {
+            convertUrl,
+            normalizeGitRemote,
+            convertImage,
+          });
+        })
+        .join("");
+    })
+    .join("\n");
+
+  return { output, changes };
+}
+
+/**
+ * Rewrite a single command segment
+ * @param {string} segment - One command without separators
+ * @param {number} lineNumber - 1-based line number for the change log
+ * @param {Array} changes - Change log to append to
+ * @param {Object} options - Conversion callbacks, see rewriteShellCommand
+ * @returns {string} Rewritten segment
+ */
+function rewriteSegment(segment, lineNumber, changes, options) {
+  const { convertUrl, normalizeGitRemote, convertImage } = options;
+
+  let rewritten = segment.replace(URL_PATTERN, (match) => {
+    // Trailing punctuation is more likely prose than part of the URL
+    const [, url, trailing] = match.match(/^(.*?)([.,:]*)$/);
+    const converted = convertUrl(url);
+    if (!converted) {
+      return match;
+    }
+
+    changes.push({
+      line: lineNumber,
+      kind: "url",
+      from: url,
+      to: converted.xgetUrl,
+    });
+    return converted.xgetUrl + trailing;
+  });
+
+  if (normalizeGitRemote && GIT_COMMAND_PATTERN.test(rewritten)) {
+    rewritten = rewritten.replace(GIT_REMOTE_PATTERN, (remote) => {
+      const httpsUrl = normalizeGitRemote(remote);
+      const converted = httpsUrl && convertUrl(httpsUrl);
+      if (!converted) {
+        return remote;
+      }
+
+      changes.push({
+        line: lineNumber,
+        kind: "git-remote",
+        from: remote,
+        to: converted.xgetUrl,
+      });
+      return converted.xgetUrl;
+    });
+  }
+
+  if (convertImage) {
+    const pullMatch = rewritten.match(IMAGE_PULL_PATTERN);
+    if (pullMatch) {
+      const [whole, command, image] = pullMatch;
+      const converted = convertImage(image);
+      if (converted) {
+        changes.push({
+          line: lineNumber,
+          kind: "image",
+          from: image,
+          to: converted,
+        });
+        rewritten = command + converted + rewritten.slice(whole.length);
+      }
+    }
+  }
+
+  for (const injection of REGISTRY_INJECTIONS) {
+    const commandMatch = rewritten.match(injection.pattern);
+    if (!commandMatch || injection.skip.test(rewritten)) {
+      continue;
+    }
+
+    const registry = convertUrl(injection.upstream);
+    if (!registry) {
+      continue;
+    }
+
+    const flag = injection.flag(registry.xgetUrl);
+    changes.push({
+      line: lineNumber,
+      kind: "registry",
+      from: commandMatch[1].trim(),
+      to: (commandMatch[1] + flag).trim(),
+    });
+    rewritten =
+      commandMatch[1] + flag + rewritten.slice(commandMatch[1].length);
+  }
+
+  return rewritten;
+}
@@ -0,0 +1,45 @@
+import { convert } from "./convert.js";
+
+/**
+ * Run every golden sample through the converter and compare the detected
+ * platform key and converted path with the expected ones
+ * Records for keys missing from the catalog are ignored, catalog keys without
+ * a sample are reported so coverage gaps stay visible.
+ * @param {Object.<string, string>} platforms - Platform key to base URL mappings
+ * @param {Object.<string, {sample?: {url: string, path: string}}>} metadata - Platform metadata holding the golden samples
+ * @param {string} domain - Xget domain without trailing slash
+ * @returns {{results: Array<{key: string, url: string, expectedPath: string, actualKey: ?string, actualPath: ?string, match: ?string, pass: boolean}>, missing: string[]}} Per-platform results and keys without a sample
+ */
+export function runPlatformSelfTest(platforms, metadata, domain) {
+  const results = [];
+  const missing = [];
+
+  for (const key of Object.keys(platforms)) {
+    const sample = metadata[key]?.sample;
+    if (!sample) {
+      missing.push(key);
+      continue;
+    }
+
+    let converted = null;
+    try {
+      converted = convert(sample.url, { domain, platforms });
+    } catch {
+      // Reported as a failure below
+    }
+
+    const actualKey = converted?.key ?? null;
+    const actualPath = converted?.trace.parts.path ?? null;
+    results.push({
+      key,
+      url: sample.url,
+      expectedPath: sample.path,
+      actualKey,
+      actualPath,
+      match: converted?.trace.match ?? null,
+      pass: actualKey === key && actualPath === sample.path,
+    });
+  }
+
+  return { results, missing };
+}
@@ -0,0 +1,170 @@
+/**
+ * Rule for credentials embedded before the host (user:pass@host)
+ * @type {{id: string, label: string, description: string}}
+ */
+const USERINFO_RULE = {
+  id: "userinfo",
+  label: "URL 中的用户名和密码",
+  description:
+    "user:pass@ 形式的凭据以明文保存在链接里，复制、分享或记入历史后任何看到链接的人都能使用；Xget 链接不会保留它们，需要认证的下载会失败。",
+};
+
+/**
+ * Rules matching query (and fragment) parameter names that carry secrets
+ * @type {Array<{id: string, label: string, description: string, pattern: RegExp}>}
+ */
+const PARAMETER_RULES = [
+  {
+    id: "token-parameter",
+    label: "令牌参数",
+    description:
+      "该查询参数通常携带访问令牌、API 密钥或密码。查询参数会原样经过第三方 Xget 代理并可能被记录，拿到链接的人可以冒用你的身份。",
+    pattern:
+      /^(?:(?:access|auth|id|refresh|private|api|bearer)[_-]?token|token|api[_-]?key|apikey|key|secret|client[_-]?secret|password|passwd|pwd|auth|authorization|jwt|session(?:[_-]?id)?)$/i,
+  },
+  {
+    id: "signed-url",
+    label: "预签名 URL 签名",
+    description:
+      "S3、GCS、Azure SAS 等预签名链接的签名参数，在有效期内任何人都能凭完整链接访问该资源；经过代理转发也可能让签名失效。",
+    pattern:
+      /^(?:x-amz-(?:signature|credential|security-token)|x-goog-(?:signature|credential)|signature|sig|awsaccesskeyid)$/i,
+  },
+];
+
+/**
+ * Rules matching well-known API key and token formats anywhere in the URL
+ * @type {Array<{id: string, label: string, description: string, pattern: RegExp}>}
+ */
+const KEY_RULES = [
+  {
+    id: "sk-key",
+    label: "sk- API 密钥",
+    description:
+      "sk- 开头的是 OpenAI、Anthropic（sk-ant-）等服务的 API 密钥，泄露后他人可直接用你的账号调用并产生费用。",
+    pattern: /\bsk-[A-Za-z0-9_-]{16,}/g,
+  },
+  {
+    id: "hf-token",
+    label: "Hugging Face 令牌",
+    description:
+      "hf_ 开头的是 Hugging Face 访问令牌，可读取（或写入）你的私有模型和数据集。",
+    pattern: /\bhf_[A-Za-z0-9]{20,}/g,
+  },
+  {
+    id: "github-token",
+    label: "GitHub 令牌",
+    description:
+      "ghp_ / github_pat_ 等开头的是 GitHub 个人访问令牌，可按其权限访问你的仓库和账号。",
+    pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{30,}|github_pat_[A-Za-z0-9_]{20,})/g,
+  },
+  {
+    id: "gitlab-token",
+    label: "GitLab 令牌",
+    description:
+      "glpat- 开头的是 GitLab 个人访问令牌，可按其权限访问你的项目和账号。",
+    pattern: /\bglpat-[A-Za-z0-9_-]{20,}/g,
+  },
+];
+
+/**
+ * Scan a URL for credentials and secrets that would leak through Xget
+ * Looks at the userinfo, query and fragment parameter names and at
+ * well-known key formats in the path, parameter values and fragment.
+ * @param {string} url - URL to scan
+ * @returns {Array<{rule: string, label: string, description: string, location: string, name: ?string, value: string}>} Findings, location is "userinfo", "query", "path" or "fragment", name is the parameter name
+ */
+export function scanUrlSecrets(url) {
+  let urlObj;
+  try {
+    urlObj = new URL(url);
+  } catch {
+    return [];
+  }
+
+  const findings = [];
+  const add = (rule, location, name, value) =>
+    findings.push({
+      rule: rule.id,
+      label: rule.label,
+      description: rule.description,
+      location,
+      name,
+      value,
+    });
+
+  if (urlObj.username || urlObj.password) {
+    add(
+      USERINFO_RULE,
+      "userinfo",
+      null,
+      safeDecode(urlObj.password || urlObj.username)
+    );
+  }
+
+  const scanParameters = (raw, location) => {
+    for (const pair of raw.split("&")) {
+      const separator = pair.indexOf("=");
+      if (separator === -1) {
+        continue;
+      }
+      const name = safeDecode(pair.slice(0, separator));
+      const value = safeDecode(pair.slice(separator + 1));
+      if (!value) {
+        continue;
+      }
+
+      const rule = PARAMETER_RULES.find((rule) => rule.pattern.test(name));
+      if (rule) {
+        add(rule, location, name, value);
+        continue;
+      }
+      for (const { rule, match } of matchKeys(value)) {
+        add(rule, location, name, match);
+      }
+    }
+  };
+
+  scanParameters(urlObj.search.slice(1), "query");
+
+  for (const { rule, match } of matchKeys(safeDecode(urlObj.pathname))) {
+    add(rule, "path", null, match);
+  }
+
+  // OAuth implicit flows put tokens in the fragment (#access_token=...)
+  const fragment = urlObj.hash.slice(1);
+  if (fragment.includes("=")) {
+    scanParameters(fragment, "fragment");
+  } else {
+    for (const { rule, match } of matchKeys(safeDecode(fragment))) {
+      add(rule, "fragment", null, match);
+    }
+  }
+
+  return findings;
+}
+
+/**
+ * Find every well-known key format in a string
+ * @param {string} text - Text to search
+ * @returns {Array<{rule: Object, match: string}>} Matching rules and matched text
+ */
+function matchKeys(text) {
+  return KEY_RULES.flatMap((rule) =>
+    [...text.matchAll(rule.pattern)].map(([match]) => ({ rule, match }))
+  );
+}
+
+/**
+ * Decode a URL component, keeping it as-is when it is malformed
+ * Query strings use + for spaces
+ * @param {string} text - Encoded text
+ * @returns {string} Decoded text
+ */
+function safeDecode(text) {
+  try {
+    return decodeURIComponent(text.replace(/\+/g, " "));
+  } catch {
+    return text;
+  }
+}
@@ -0,0 +1,80 @@
+/**
+ * Allowed platform keys, same shape as the prefixes in platforms.js
+ * (gh, cr-ghcr, ip-openai, homebrew-api, ...)
+ * @type {RegExp}
+ */
+const PLATFORM_KEY_PATTERN = /^[a-z0-9][a-z0-9._-]*$/i;
+
+/**
+ * Validate and normalize user-defined platform entries
+ * Accepts the exported definition file ({version, platforms: [...]}), a bare
+ * array of entries or a PLATFORMS-style key → base URL object.
+ * Invalid entries are dropped and reported, later entries with the same key
+ * replace earlier ones.
+ * @param {*} input - Parsed JSON definition
+ * @param {Object.<string, string>} builtinPlatforms - Built-in platform mappings, their keys cannot be redefined
+ * @returns {{platforms: Array<{key: string, baseUrl: string, name: string, category: string}>, errors: string[]}} Normalized entries and error messages
+ */
+export function validateCustomPlatforms(input, builtinPlatforms) {
+  let entries = input;
+  if (entries && !Array.isArray(entries) && Array.isArray(entries.platforms)) {
+    entries = entries.platforms;
+  } else if (
+    entries &&
+    !Array.isArray(entries) &&
+    typeof entries === "object"
+  ) {
+    entries = Object.entries(entries).map(([key, baseUrl]) => ({
+      key,
+      baseUrl,
+    }));
+  }
+
+  if (!Array.isArray(entries)) {
+    return { platforms: [], errors: ["平台定义必须是数组或对象"] };
+  }
+
+  const platforms = new Map();
+  const errors = [];
+
+  entries.forEach((entry, index) => {
+    const label = `第 ${index + 1} 项`;
+    if (!entry || typeof entry !== "object") {
+      errors.push(`${label}：格式无效`);
+      return;
+    }
+
+    const key = String(entry.key ?? "").trim();
+    if (!PLATFORM_KEY_PATTERN.test(key)) {
+      errors.push(
+        `${label}：前缀 "${key}" 只能包含字母、数字、点、下划线和连字符`
+      );
+      return;
+    }
+    if (Object.hasOwn(builtinPlatforms, key)) {
+      errors.push(`${label}：前缀 "${key}" 与内置平台重复`);
+      return;
+    }
+
+    let baseUrl;
+    try {
+      baseUrl = new URL(String(entry.baseUrl ?? "").trim());
+    } catch {
+      errors.push(`${label}：基础 URL "${entry.baseUrl ?? ""}" 无效`);
+      return;
+    }
+    if (baseUrl.protocol !== "http:" && baseUrl.protocol !== "https:") {
+      errors.push(`${label}：基础 URL 必须使用 http 或 https`);
+      return;
+    }
+
+    platforms.set(key, {
+      key,
+      baseUrl: (baseUrl.origin + baseUrl.pathname).replace(/\/$/, ""),
+      name: String(entry.name ?? "").trim(),
+      category: String(entry.category ?? "").trim(),
+    });
+  });
+
+  return { platforms: [...platforms.values()], errors };
+}
@@ -15,15 +15,55 @@
 "use strict";
 
 import { createSampleUrl } from "./createSampleUrl.js";
+import { reverseXgetUrl } from "./reverseXgetUrl.js";
+import { exportBatchResults } from "./exportBatchResults.js";
+import { rewriteShellCommand } from "./rewriteShellCommand.js";
+import { rewriteLockfile } from "./rewriteLockfile.js";
+import { rewriteContainerDocument } from "./rewriteContainerDocument.js";
+import { generatePackageManagerConfigs } from "./generatePackageManagerConfigs.js";
+import { parseImageReference } from "./parseImageReference.js";
+import { generateRegistryMirrorConfigs } from "./generateRegistryMirrorConfigs.js";
+import { generateAiProviderSnippets } from "./generateAiProviderSnippets.js";
+import { generateDistroRepoConfigs } from "./generateDistroRepoConfigs.js";
+import { DISTRO_RELEASES } from "./distroReleases.js";
+import { normalizeGitRemote } from "./normalizeGitRemote.js";
+import { generateGitInsteadOfRules } from "./generateGitInsteadOfRules.js";
+import { classifyGitHubUrl } from "./classifyGitHubUrl.js";
+import { PLATFORM_ROUTES } from "./platformRoutes.js";
+import { convert } from "./convert.js";
+import { validateCustomPlatforms } from "./validateCustomPlatforms.js";
+import { parsePlatformCatalog } from "./parsePlatformCatalog.js";
+import { diffPlatformCatalogs } from "./diffPlatformCatalogs.js";
+import { openDatabase, promisifyRequest } from "./openDatabase.js";
+import { probeXgetInstance } from "./probeXgetInstance.js";
+import { parseDeepLink } from "./parseDeepLink.js";
+import { buildShareLink } from "./buildShareLink.js";
+import { filterConversionHistory } from "./filterConversionHistory.js";
+import { countHistoryByPlatform } from "./countHistoryByPlatform.js";
+import { generateBrowserScripts } from "./generateBrowserScripts.js";
+import { PLATFORM_CATEGORIES, PLATFORM_METADATA } from "./platformMetadata.js";
+import { findMissingPlatformMetadata } from "./findMissingPlatformMetadata.js";
+import { getCategorizedDomains } from "./getCategorizedDomains.js";
+import { filterCategorizedDomains } from "./filterCategorizedDomains.js";
+import { getPlatformChoicePattern } from "./getPlatformChoicePattern.js";
+import { runPlatformSelfTest } from "./runPlatformSelfTest.js";
+import { scanUrlSecrets } from "./scanUrlSecrets.js";
+import { redactUrlSecrets, maskSecretValue } from "./redactUrlSecrets.js";
+import classifyGitHubUrlSource from "./classifyGitHubUrl.js?raw";
+import platformRoutesSource from "./platformRoutes.js?raw";
+import convertSource from "./convert.js?raw";
+
+/**
+ * Default Xget domain used when none is configured
+ * @type {string}
+ */
+const DEFAULT_XGET_DOMAIN = "https://xget.a1u06h9fe9y5bozbmgz3.qzz.io";
 
 if (!localStorage.getItem("dontShowSponsorModal")) {
   localStorage.setItem("dontShowSponsorModal", "true");
 }
 if (!localStorage.getItem("xgetDomain")) {
-  localStorage.setItem(
-    "xgetDomain",
-    "https://xget.a1u06h9fe9y5bozbmgz3.qzz.io"
-  );
+  localStorage.setItem("xgetDomain", DEFAULT_XGET_DOMAIN);
 }
 // ============================================================================
 // Global State Management
@@ -35,12 +75,142 @@ if (!localStorage.getItem("xgetDomain")) {
  */
 let platformsData = {};
 
+/**
+ * Platform mappings of the bundled platforms.js
+ * @type {Object.<string, string>}
+ */
+let bundledPlatformsData = {};
+
+/**
+ * Active catalog (bundled or remote) before custom platforms are merged in
+ * @type {Object.<string, string>}
+ */
+let builtinPlatformsData = {};
+
+/**
+ * Active platform catalog with its source, version and last sync details
+ * @type {?Object}
+ */
+let activeCatalog = null;
+
+/**
+ * User-defined platforms persisted in localStorage
+ * @type {Array<{key: string, baseUrl: string, name: string, category: string}>}
+ */
+let customPlatforms = [];
+
+/**
+ * Key of the custom platform being edited, null when adding a new one
+ * @type {string|null}
+ */
+let editingCustomPlatformKey = null;
+
+/**
+ * Saved Xget instances
+ * @type {Array<{name: string, url: string}>}
+ */
+let xgetInstances = [];
+
+/**
+ * Instance selection mode: "auto" (fastest healthy instance) or "manual"
+ * @type {string}
+ */
+let instanceMode = "manual";
+
+/**
+ * Last probe result per instance URL
+ * @type {Map<string, {status: string, latency?: ?number, error?: ?string}>}
+ */
+const instanceHealth = new Map();
+
+/**
+ * History entries loaded for the history panel
+ * @type {Array<{id: number, original: string, converted: string, key: string, domain: string, createdAt: number, pinned: boolean}>}
+ */
+let historyEntries = [];
+
+/**
+ * Ids of the history entries selected for bulk deletion
+ * @type {Set<number>}
+ */
+const selectedHistoryIds = new Set();
+
+/**
+ * Pending timer that records the latest conversion
+ * @type {?number}
+ */
+let historyRecordTimer = null;
+
+/**
+ * Chart.js instance of the usage chart
+ * @type {?Object}
+ */
+let historyChart = null;
+
+/**
+ * Active search query and category of the domains grid
+ * @type {{query: string, category: string}}
+ */
+const domainsFilter = { query: "", category: "" };
+
+/**
+ * Name of the lockfile loaded from disk, empty for pasted content
+ * @type {string}
+ */
+let lockfileName = "";
+
+/**
+ * Result of the last lockfile rewrite
+ * @type {?{format: string, label: string, filename: string, output: string, entries: Array<Object>}}
+ */
+let lockfileResult = null;
+
+/**
+ * Name of the container document loaded from disk, empty for pasted content
+ * @type {string}
+ */
+let documentName = "";
+
+/**
+ * Result of the last Dockerfile / compose / Kubernetes rewrite
+ * @type {?{kind: string, label: string, filename: string, output: string, changes: Array<Object>, diff: Array<Object>}}
+ */
+let documentResult = null;
+
+/**
+ * Secrets found in the URL currently shown in the converter
+ * @type {Array<{rule: string, label: string, description: string, location: string, name: ?string, value: string}>}
+ */
+let secretFindings = [];
+
+/**
+ * Whether the user chose to copy the converted URL despite the secrets
+ * @type {boolean}
+ */
+let secretsAcknowledged = false;
+
 /**
  * Loading state indicator
  * @type {boolean}
  */
 let isLoading = false;
 
+/**
+ * Current converter mode: "convert" (upstream → Xget), "reverse" (Xget → upstream),
+ * "batch" (many upstream URLs at once), "command" (shell commands and scripts),
+ * "lockfile" (npm/yarn/pnpm/pip/poetry lockfiles), "document" (Dockerfile, compose
+ * and Kubernetes YAML), "config" (package manager configuration), "platforms" (custom platforms),
+ * "history" (conversion history) or "diagnostics" (platform self-test)
+ * @type {string}
+ */
+let conversionMode = "convert";
+
+/**
+ * Rows produced by the last batch conversion
+ * @type {Array<{line: number, input: string, status: string, key: string|null, output: string|null}>}
+ */
+let batchResults = [];
+
 // ============================================================================
 // DOM Element References
 // ============================================================================
@@ -69,6 +239,354 @@ const platformName = document.getElementById("platform-name");
 /** @type {HTMLElement} Platform detection indicator dot */
 const platformDot = document.querySelector(".platform-dot");
 
+/** @type {NodeListOf<HTMLButtonElement>} Converter mode tabs */
+const modeTabs = document.querySelectorAll(".mode-tab");
+
+/** @type {HTMLLabelElement} Label of the URL input field */
+const originalUrlLabel = document.getElementById("original-url-label");
+
+/** @type {HTMLLabelElement} Label of the converted URL output field */
+const convertedUrlLabel = document.getElementById("converted-url-label");
+
+/** @type {HTMLElement} Platform specific snippets shown below the converted URL */
+const platformSnippets = document.getElementById("platform-snippets");
+
+/** @type {HTMLElement} GitHub link classification and ref split picker */
+const githubHint = document.getElementById("github-hint");
+
+/** @type {HTMLElement} Picker shown when several platforms plausibly match */
+const platformChoice = document.getElementById("platform-choice");
+
+/** @type {HTMLElement} Warning listing secrets found in the original URL */
+const secretWarning = document.getElementById("secret-warning");
+
+/** @type {HTMLUListElement} Detected secrets with per-rule explanations */
+const secretList = document.getElementById("secret-list");
+
+/** @type {HTMLButtonElement} Remove detected secrets button */
+const secretStripBtn = document.getElementById("secret-strip-btn");
+
+/** @type {HTMLButtonElement} Mask detected secrets button */
+const secretMaskBtn = document.getElementById("secret-mask-btn");
+
+/** @type {HTMLButtonElement} Copy despite detected secrets button */
+const secretCopyAnywayBtn = document.getElementById("secret-copy-anyway-btn");
+
+/** @type {HTMLDetailsElement} Expandable "how was this converted" panel */
+const conversionTrace = document.getElementById("conversion-trace");
+
+/** @type {HTMLElement} Conversion trace content */
+const conversionTraceBody = document.getElementById("conversion-trace-body");
+
+/** @type {HTMLElement} Single URL input and result panel */
+const singlePanel = document.getElementById("single-panel");
+
+/** @type {HTMLElement} Batch conversion panel */
+const batchPanel = document.getElementById("batch-panel");
+
+/** @type {HTMLTextAreaElement} Batch URL input, one URL per line */
+const batchInput = document.getElementById("batch-input");
+
+/** @type {HTMLElement} Batch conversion summary */
+const batchSummary = document.getElementById("batch-summary");
+
+/** @type {HTMLTableSectionElement} Batch results table body */
+const batchResultsBody = document.getElementById("batch-results-body");
+
+/** @type {HTMLElement} Batch results container */
+const batchResultsSection = document.getElementById("batch-results");
+
+/** @type {HTMLButtonElement} Copy all converted URLs button */
+const batchCopyBtn = document.getElementById("batch-copy-btn");
+
+/** @type {HTMLButtonElement} Keep only failed lines in the input button */
+const batchKeepFailedBtn = document.getElementById("batch-keep-failed-btn");
+
+/** @type {NodeListOf<HTMLButtonElement>} Batch export buttons */
+const batchExportBtns = document.querySelectorAll(".batch-export-btn");
+
+/** @type {HTMLElement} Shell command rewriting panel */
+const commandPanel = document.getElementById("command-panel");
+
+/** @type {HTMLTextAreaElement} Shell command input */
+const commandInput = document.getElementById("command-input");
+
+/** @type {HTMLTextAreaElement} Rewritten shell command output */
+const commandOutput = document.getElementById("command-output");
+
+/** @type {HTMLElement} Rewritten command result container */
+const commandResult = document.getElementById("command-result");
+
+/** @type {HTMLElement} List of changes applied to the command */
+const commandChanges = document.getElementById("command-changes");
+
+/** @type {HTMLButtonElement} Copy rewritten command button */
+const commandCopyBtn = document.getElementById("command-copy-btn");
+
+/** @type {HTMLElement} Lockfile rewriting panel */
+const lockfilePanel = document.getElementById("lockfile-panel");
+
+/** @type {HTMLTextAreaElement} Lockfile input, also a drop target */
+const lockfileInput = document.getElementById("lockfile-input");
+
+/** @type {HTMLButtonElement} Open lockfile button */
+const lockfileOpenBtn = document.getElementById("lockfile-open-btn");
+
+/** @type {HTMLInputElement} Hidden file input for lockfiles */
+const lockfileFileInput = document.getElementById("lockfile-file-input");
+
+/** @type {HTMLElement} Rewritten vs skipped entries summary */
+const lockfileSummary = document.getElementById("lockfile-summary");
+
+/** @type {HTMLElement} Rewritten lockfile result container */
+const lockfileResultSection = document.getElementById("lockfile-result");
+
+/** @type {HTMLTextAreaElement} Rewritten lockfile output */
+const lockfileOutput = document.getElementById("lockfile-output");
+
+/** @type {HTMLButtonElement} Download rewritten lockfile button */
+const lockfileDownloadBtn = document.getElementById("lockfile-download-btn");
+
+/** @type {HTMLButtonElement} Copy rewritten lockfile button */
+const lockfileCopyBtn = document.getElementById("lockfile-copy-btn");
+
+/** @type {HTMLTableSectionElement} Lockfile entries table body */
+const lockfileEntriesBody = document.getElementById("lockfile-entries-body");
+
+/** @type {HTMLElement} Dockerfile / compose / Kubernetes rewriting panel */
+const documentPanel = document.getElementById("document-panel");
+
+/** @type {HTMLTextAreaElement} Container document input, also a drop target */
+const documentInput = document.getElementById("document-input");
+
+/** @type {HTMLButtonElement} Open container document button */
+const documentOpenBtn = document.getElementById("document-open-btn");
+
+/** @type {HTMLInputElement} Hidden file input for container documents */
+const documentFileInput = document.getElementById("document-file-input");
+
+/** @type {HTMLElement} Container document rewrite summary */
+const documentSummary = document.getElementById("document-summary");
+
+/** @type {HTMLElement} Rewritten container document result container */
+const documentResultSection = document.getElementById("document-result");
+
+/** @type {HTMLElement} Line-by-line diff of the rewritten document */
+const documentDiff = document.getElementById("document-diff");
+
+/** @type {HTMLTextAreaElement} Rewritten container document output */
+const documentOutput = document.getElementById("document-output");
+
+/** @type {HTMLButtonElement} Download rewritten container document button */
+const documentDownloadBtn = document.getElementById("document-download-btn");
+
+/** @type {HTMLButtonElement} Copy rewritten container document button */
+const documentCopyBtn = document.getElementById("document-copy-btn");
+
+/** @type {HTMLElement} Package manager configuration panel */
+const configPanel = document.getElementById("config-panel");
+
+/** @type {HTMLElement} Generated configuration snippets container */
+const configList = document.getElementById("config-list");
+
+/** @type {HTMLSelectElement} Linux distribution selector */
+const distroSelect = document.getElementById("distro-select");
+
+/** @type {HTMLSelectElement} Linux distribution release selector */
+const distroReleaseSelect = document.getElementById("distro-release-select");
+
+/** @type {HTMLSelectElement} Linux distribution architecture selector */
+const distroArchSelect = document.getElementById("distro-arch-select");
+
+/** @type {HTMLButtonElement} Download repository replacement script button */
+const distroScriptDownloadBtn = document.getElementById(
+  "distro-script-download-btn"
+);
+
+/** @type {HTMLElement} Generated distribution repository config container */
+const distroSnippets = document.getElementById("distro-snippets");
+
+/** @type {HTMLSelectElement} AI inference provider selector */
+const aiProviderSelect = document.getElementById("ai-provider-select");
+
+/** @type {HTMLElement} Generated AI provider snippets container */
+const aiSnippets = document.getElementById("ai-snippets");
+
+/** @type {HTMLElement} Custom platforms panel */
+const platformsPanel = document.getElementById("platforms-panel");
+
+/** @type {HTMLFormElement} Add/edit custom platform form */
+const customPlatformForm = document.getElementById("custom-platform-form");
+
+/** @type {HTMLInputElement} Custom platform key input */
+const customPlatformKeyInput = document.getElementById("custom-platform-key");
+
+/** @type {HTMLInputElement} Custom platform base URL input */
+const customPlatformBaseUrlInput = document.getElementById(
+  "custom-platform-base-url"
+);
+
+/** @type {HTMLInputElement} Custom platform display name input */
+const customPlatformNameInput = document.getElementById("custom-platform-name");
+
+/** @type {HTMLInputElement} Custom platform category input */
+const customPlatformCategoryInput = document.getElementById(
+  "custom-platform-category"
+);
+
+/** @type {HTMLDataListElement} Category suggestions for custom platforms */
+const customPlatformCategories = document.getElementById(
+  "custom-platform-categories"
+);
+
+/** @type {HTMLButtonElement} Add/save custom platform button */
+const customPlatformSaveBtn = document.getElementById(
+  "custom-platform-save-btn"
+);
+
+/** @type {HTMLButtonElement} Cancel editing button */
+const customPlatformCancelBtn = document.getElementById(
+  "custom-platform-cancel-btn"
+);
+
+/** @type {HTMLButtonElement} Export custom platforms button */
+const customPlatformExportBtn = document.getElementById(
+  "custom-platform-export-btn"
+);
+
+/** @type {HTMLButtonElement} Import custom platforms button */
+const customPlatformImportBtn = document.getElementById(
+  "custom-platform-import-btn"
+);
+
+/** @type {HTMLInputElement} Hidden file input for importing definitions */
+const customPlatformImportInput = document.getElementById(
+  "custom-platform-import-input"
+);
+
+/** @type {HTMLElement} Custom platforms summary line */
+const customPlatformSummary = document.getElementById(
+  "custom-platform-summary"
+);
+
+/** @type {HTMLUListElement} Custom platforms list */
+const customPlatformList = document.getElementById("custom-platform-list");
+
+/** @type {HTMLInputElement} Remote platform catalog URL input */
+const catalogUrlInput = document.getElementById("catalog-url");
+
+/** @type {HTMLButtonElement} Sync remote catalog button */
+const catalogSyncBtn = document.getElementById("catalog-sync-btn");
+
+/** @type {HTMLButtonElement} Use the upstream catalog button */
+const catalogOfficialBtn = document.getElementById("catalog-official-btn");
+
+/** @type {HTMLElement} Active catalog status line */
+const catalogStatus = document.getElementById("catalog-status");
+
+/** @type {HTMLUListElement} Platforms added or removed by the last sync */
+const catalogDiff = document.getElementById("catalog-diff");
+
+/** @type {HTMLSelectElement} Xget instance selector */
+const xgetInstanceSelect = document.getElementById("xget-instance-select");
+
+/** @type {HTMLButtonElement} Probe instances button */
+const instanceProbeBtn = document.getElementById("instance-probe-btn");
+
+/** @type {HTMLUListElement} Saved instances with health badges */
+const instanceList = document.getElementById("instance-list");
+
+/** @type {HTMLInputElement} Name for saving the current domain as an instance */
+const instanceNameInput = document.getElementById("instance-name");
+
+/** @type {HTMLButtonElement} Save current domain as instance button */
+const instanceSaveBtn = document.getElementById("instance-save-btn");
+
+/** @type {HTMLButtonElement} Copy share link button */
+const shareBtn = document.getElementById("share-btn");
+
+/** @type {HTMLDivElement} Confirmation for a domain from a shared link */
+const deepLinkDomain = document.getElementById("deep-link-domain");
+
+/** @type {HTMLElement} Domain named by the shared link */
+const deepLinkDomainName = document.getElementById("deep-link-domain-name");
+
+/** @type {HTMLButtonElement} Use the domain from the shared link */
+const deepLinkDomainAcceptBtn = document.getElementById(
+  "deep-link-domain-accept-btn"
+);
+
+/** @type {HTMLButtonElement} Keep the current domain */
+const deepLinkDomainDismissBtn = document.getElementById(
+  "deep-link-domain-dismiss-btn"
+);
+
+/** @type {HTMLElement} Conversion history panel */
+const historyPanel = document.getElementById("history-panel");
+
+/** @type {HTMLInputElement} History search input */
+const historySearchInput = document.getElementById("history-search");
+
+/** @type {HTMLSelectElement} History platform filter */
+const historyPlatformFilter = document.getElementById(
+  "history-platform-filter"
+);
+
+/** @type {HTMLButtonElement} Select all history entries button */
+const historySelectAllBtn = document.getElementById("history-select-all-btn");
+
+/** @type {HTMLButtonElement} Delete selected history entries button */
+const historyDeleteBtn = document.getElementById("history-delete-btn");
+
+/** @type {HTMLButtonElement} Export history button */
+const historyExportBtn = document.getElementById("history-export-btn");
+
+/** @type {HTMLButtonElement} Import history button */
+const historyImportBtn = document.getElementById("history-import-btn");
+
+/** @type {HTMLInputElement} Hidden file input for importing history */
+const historyImportInput = document.getElementById("history-import-input");
+
+/** @type {HTMLElement} History summary line */
+const historySummary = document.getElementById("history-summary");
+
+/** @type {HTMLUListElement} History entries list */
+const historyList = document.getElementById("history-list");
+
+/** @type {HTMLCanvasElement} Per-platform usage chart */
+const historyChartCanvas = document.getElementById("history-chart");
+
+/** @type {HTMLAnchorElement} Bookmarklet opening the current page through Xget */
+const bookmarkletOpen = document.getElementById("bookmarklet-open");
+
+/** @type {HTMLAnchorElement} Bookmarklet rewriting download links on the page */
+const bookmarkletRewrite = document.getElementById("bookmarklet-rewrite");
+
+/** @type {HTMLButtonElement} Download userscript button */
+const userscriptDownloadBtn = document.getElementById(
+  "userscript-download-btn"
+);
+
+/** @type {HTMLElement} Generated bookmarklet and userscript snippets container */
+const browserScripts = document.getElementById("browser-scripts");
+
+/** @type {HTMLElement} Platform coverage self-test panel */
+const diagnosticsPanel = document.getElementById("diagnostics-panel");
+
+/** @type {HTMLButtonElement} Re-run self-test button */
+const diagnosticsRunBtn = document.getElementById("diagnostics-run-btn");
+
+/** @type {HTMLElement} Self-test summary */
+const diagnosticsSummary = document.getElementById("diagnostics-summary");
+
+/** @type {HTMLTableSectionElement} Self-test results table body */
+const diagnosticsResultsBody = document.getElementById(
+  "diagnostics-results-body"
+);
+
+/** @type {HTMLUListElement} Platforms with missing metadata fields */
+const diagnosticsMissing = document.getElementById("diagnostics-missing");
+
 /** @type {HTMLElement} Main converter section */
 const converterSection = document.querySelector(".converter-section");
 
@@ -82,8 +600,10 @@ const converterSection = document.querySelector(".converter-section");
 document.addEventListener("DOMContentLoaded", async () => {
   await loadPlatforms();
   loadSavedDomain();
+  loadXgetInstances();
   setupEventListeners();
   setupDomainsSection();
+  applyDeepLink();
 
   // Check if the user has chosen not to show the modal again
   const dontShowAgain = localStorage.getItem("dontShowSponsorModal");
@@ -107,8 +627,126 @@ document.addEventListener("DOMContentLoaded", async () => {
 function setupEventListeners() {
   xgetDomainInput.addEventListener("input", handleDomainInput);
   xgetDomainInput.addEventListener("blur", saveDomain);
+  xgetDomainInput.addEventListener("input", handleManualDomainInput);
+  xgetInstanceSelect.addEventListener("change", handleInstanceSelect);
+  instanceProbeBtn.addEventListener("click", probeXgetInstances);
+  instanceSaveBtn.addEventListener("click", saveCurrentInstance);
+  instanceList.addEventListener("click", handleInstanceAction);
   originalUrlInput.addEventListener("input", handleUrlInput);
   copyBtn.addEventListener("click", copyToClipboard);
+  shareBtn.addEventListener("click", copyShareLink);
+  deepLinkDomainAcceptBtn.addEventListener("click", acceptDeepLinkDomain);
+  deepLinkDomainDismissBtn.addEventListener("click", dismissDeepLinkDomain);
+
+  // Keep the address bar in sync so the page can be shared at any time
+  [xgetDomainInput, originalUrlInput, batchInput, commandInput].forEach(
+    (input) => input.addEventListener("input", updateAddressBar)
+  );
+
+  modeTabs.forEach((tab) => {
+    tab.addEventListener("click", () => setConversionMode(tab.dataset.mode));
+  });
+
+  batchInput.addEventListener("input", handleBatchInput);
+  batchCopyBtn.addEventListener("click", copyBatchConverted);
+  batchKeepFailedBtn.addEventListener("click", keepFailedBatchLines);
+  commandInput.addEventListener("input", handleCommandInput);
+  commandCopyBtn.addEventListener("click", copyRewrittenCommand);
+
+  lockfileInput.addEventListener("input", () => {
+    // Edited or pasted content no longer belongs to the loaded file
+    lockfileName = "";
+    handleLockfileInput();
+  });
+  lockfileInput.addEventListener("dragover", (e) => e.preventDefault());
+  lockfileInput.addEventListener("drop", handleLockfileDrop);
+  lockfileOpenBtn.addEventListener("click", () => lockfileFileInput.click());
+  lockfileFileInput.addEventListener("change", () => {
+    const [file] = lockfileFileInput.files;
+    lockfileFileInput.value = "";
+    if (file) {
+      loadLockfile(file);
+    }
+  });
+  lockfileDownloadBtn.addEventListener("click", downloadRewrittenLockfile);
+  lockfileCopyBtn.addEventListener("click", copyRewrittenLockfile);
+
+  documentInput.addEventListener("input", () => {
+    // Edited or pasted content no longer belongs to the loaded file
+    documentName = "";
+    handleDocumentInput();
+  });
+  documentInput.addEventListener("dragover", (e) => e.preventDefault());
+  documentInput.addEventListener("drop", handleDocumentDrop);
+  documentOpenBtn.addEventListener("click", () => documentFileInput.click());
+  documentFileInput.addEventListener("change", () => {
+    const [file] = documentFileInput.files;
+    documentFileInput.value = "";
+    if (file) {
+      loadDocument(file);
+    }
+  });
+  documentDownloadBtn.addEventListener("click", downloadRewrittenDocument);
+  documentCopyBtn.addEventListener("click", copyRewrittenDocument);
+
+  setupSnippetCopyHandler(configList);
+  setupSnippetCopyHandler(platformSnippets);
+  setupSnippetCopyHandler(aiSnippets);
+  setupSnippetCopyHandler(distroSnippets);
+  setupSnippetCopyHandler(browserScripts);
+  userscriptDownloadBtn.addEventListener("click", downloadUserscript);
+
+  // Bookmarklets are meant to be dragged to the bookmarks bar, not run here
+  [bookmarkletOpen, bookmarkletRewrite].forEach((link) =>
+    link.addEventListener("click", (e) => e.preventDefault())
+  );
+  aiProviderSelect.addEventListener("change", renderAiProviderSnippets);
+  distroSelect.addEventListener("change", () => {
+    populateDistroOptions();
+    renderDistroRepoConfigs();
+  });
+  distroReleaseSelect.addEventListener("change", renderDistroRepoConfigs);
+  distroArchSelect.addEventListener("change", renderDistroRepoConfigs);
+  distroScriptDownloadBtn.addEventListener("click", downloadDistroScript);
+
+  customPlatformForm.addEventListener("submit", saveCustomPlatform);
+  customPlatformCancelBtn.addEventListener("click", resetCustomPlatformForm);
+  customPlatformExportBtn.addEventListener("click", exportCustomPlatforms);
+  customPlatformImportBtn.addEventListener("click", () =>
+    customPlatformImportInput.click()
+  );
+  customPlatformImportInput.addEventListener("change", importCustomPlatforms);
+  customPlatformList.addEventListener("click", handleCustomPlatformAction);
+
+  historySearchInput.addEventListener("input", renderHistoryList);
+  historyPlatformFilter.addEventListener("change", renderHistoryList);
+  historyList.addEventListener("click", handleHistoryAction);
+  historySelectAllBtn.addEventListener("click", toggleSelectAllHistory);
+  historyDeleteBtn.addEventListener("click", deleteSelectedHistory);
+  historyExportBtn.addEventListener("click", exportHistory);
+  historyImportBtn.addEventListener("click", () => historyImportInput.click());
+  historyImportInput.addEventListener("change", importHistory);
+
+  diagnosticsRunBtn.addEventListener("click", runDiagnostics);
+
+  platformChoice.addEventListener("click", handlePlatformChoiceClick);
+
+  secretStripBtn.addEventListener("click", () => redactSecrets("strip"));
+  secretMaskBtn.addEventListener("click", () => redactSecrets("mask"));
+  secretCopyAnywayBtn.addEventListener("click", copyWithSecrets);
+
+  catalogUrlInput.addEventListener("change", handleCatalogUrlChange);
+  catalogSyncBtn.addEventListener("click", syncPlatformCatalog);
+  catalogOfficialBtn.addEventListener("click", () => {
+    catalogUrlInput.value = OFFICIAL_CATALOG_URL;
+    handleCatalogUrlChange();
+  });
+
+  batchExportBtns.forEach((btn) => {
+    btn.addEventListener("click", () =>
+      downloadBatchResults(btn.dataset.format)
+    );
+  });
 
   // Handle paste events with slight delay for processing
   originalUrlInput.addEventListener("paste", (e) => {
@@ -116,6 +754,116 @@ function setupEventListeners() {
   });
 }
 
+// ============================================================================
+// Conversion Mode
+// ============================================================================
+
+/**
+ * Converter modes that have their own panel instead of the single URL panel
+ * @type {string[]}
+ */
+const PANEL_MODES = [
+  "batch",
+  "command",
+  "lockfile",
+  "document",
+  "config",
+  "platforms",
+  "history",
+  "diagnostics",
+];
+
+/**
+ * Switch between the converter modes
+ * Updates the tabs, labels and placeholders, then re-processes the input
+ * @param {string} mode - "convert", "reverse", "batch", "command", "lockfile", "document", "config", "platforms", "history" or "diagnostics"
+ */
+function setConversionMode(mode) {
+  if (!["convert", "reverse", ...PANEL_MODES].includes(mode)) {
+    return;
+  }
+
+  conversionMode = mode;
+  updateAddressBar();
+
+  modeTabs.forEach((tab) => {
+    const isActive = tab.dataset.mode === mode;
+    tab.classList.toggle("active", isActive);
+    tab.setAttribute("aria-selected", String(isActive));
+  });
+
+  singlePanel.classList.toggle("hidden", PANEL_MODES.includes(mode));
+  batchPanel.classList.toggle("hidden", mode !== "batch");
+  commandPanel.classList.toggle("hidden", mode !== "command");
+  lockfilePanel.classList.toggle("hidden", mode !== "lockfile");
+  documentPanel.classList.toggle("hidden", mode !== "document");
+  configPanel.classList.toggle("hidden", mode !== "config");
+  platformsPanel.classList.toggle("hidden", mode !== "platforms");
+  historyPanel.classList.toggle("hidden", mode !== "history");
+  diagnosticsPanel.classList.toggle("hidden", mode !== "diagnostics");
+
+  if (mode === "batch") {
+    hideError();
+    handleBatchInput();
+    return;
+  }
+
+  if (mode === "command") {
+    hideError();
+    handleCommandInput();
+    return;
+  }
+
+  if (mode === "lockfile") {
+    hideError();
+    handleLockfileInput();
+    return;
+  }
+
+  if (mode === "document") {
+    hideError();
+    handleDocumentInput();
+    return;
+  }
+
+  if (mode === "config") {
+    hideError();
+    renderPackageManagerConfigs();
+    return;
+  }
+
+  if (mode === "platforms") {
+    hideError();
+    renderCustomPlatformList();
+    return;
+  }
+
+  if (mode === "history") {
+    hideError();
+    renderHistory();
+    return;
+  }
+
+  if (mode === "diagnostics") {
+    hideError();
+    runDiagnostics();
+    return;
+  }
+
+  if (mode === "reverse") {
+    originalUrlLabel.textContent = "Xget URL";
+    originalUrlInput.placeholder = "在此粘贴 Xget 加速链接";
+    convertedUrlLabel.textContent = "还原后的原始 URL";
+  } else {
+    originalUrlLabel.textContent = "原始 URL";
+    originalUrlInput.placeholder =
+      "在此粘贴支持平台的 URL 或镜像名（如 nginx:1.27）";
+    convertedUrlLabel.textContent = "转换后的 Xget URL";
+  }
+
+  handleUrlInput();
+}
+
 // ============================================================================
 // Domain Management
 // ============================================================================
@@ -155,16 +903,41 @@ function handleDomainInput() {
     xgetDomainInput.classList.remove("error");
   }
 
-  // If there's already a URL converted, re-convert it with the new domain
-  const currentUrl = originalUrlInput.value.trim();
-  if (currentUrl && !resultSection.classList.contains("hidden")) {
-    handleUrlInput();
+  if (conversionMode === "batch") {
+    handleBatchInput();
+    return;
   }
-}
 
-/**
- * Get the current Xget domain
- * Returns the user-specified domain or falls back to default
+  if (conversionMode === "command") {
+    handleCommandInput();
+    return;
+  }
+
+  if (conversionMode === "lockfile") {
+    handleLockfileInput();
+    return;
+  }
+
+  if (conversionMode === "document") {
+    handleDocumentInput();
+    return;
+  }
+
+  if (conversionMode === "config") {
+    renderPackageManagerConfigs();
+    return;
+  }
+
+  // If there's already a URL converted, re-convert it with the new domain
+  const currentUrl = originalUrlInput.value.trim();
+  if (currentUrl && !resultSection.classList.contains("hidden")) {
+    handleUrlInput();
+  }
+}
+
+/**
+ * Get the current Xget domain
+ * Returns the user-specified domain or falls back to default
  * @returns {string} Xget domain URL
  */
 function getXgetDomain() {
@@ -177,7 +950,323 @@ function getXgetDomain() {
   }
 
   // Fallback to default domain
-  return "https://xget.a1u06h9fe9y5bozbmgz3.qzz.io";
+  return DEFAULT_XGET_DOMAIN;
+}
+
+/**
+ * Get all Xget domains that reverse conversion should recognize
+ * Includes the current input, the saved domain, the saved instances and the default domain
+ * @returns {string[]} Unique Xget domain URLs
+ */
+function getKnownXgetDomains() {
+  const domains = [
+    getXgetDomain(),
+    localStorage.getItem("xgetDomain"),
+    ...xgetInstances.map((instance) => instance.url),
+    DEFAULT_XGET_DOMAIN,
+  ]
+    .filter((domain) => domain && isValidUrl(domain))
+    .map((domain) => domain.replace(/\/$/, ""));
+
+  return [...new Set(domains)];
+}
+
+// ============================================================================
+// Xget Instances
+// ============================================================================
+
+/**
+ * localStorage key holding the saved Xget instances
+ * @type {string}
+ */
+const INSTANCES_STORAGE_KEY = "xgetInstances";
+
+/**
+ * localStorage key holding the instance selection mode ("auto" or "manual")
+ * @type {string}
+ */
+const INSTANCE_MODE_STORAGE_KEY = "xgetInstanceMode";
+
+/**
+ * Time limit for probing a single instance in milliseconds
+ * @type {number}
+ */
+const INSTANCE_PROBE_TIMEOUT = 5000;
+
+/**
+ * Load saved instances, seeding the list with the default and saved domains
+ */
+function loadXgetInstances() {
+  try {
+    xgetInstances = JSON.parse(
+      localStorage.getItem(INSTANCES_STORAGE_KEY) ?? "[]"
+    ).filter((instance) => instance?.url && isValidUrl(instance.url));
+  } catch (error) {
+    console.error("解析 Xget 实例失败:", error);
+    xgetInstances = [];
+  }
+
+  if (xgetInstances.length === 0) {
+    xgetInstances = [{ name: "默认实例", url: DEFAULT_XGET_DOMAIN }];
+    const savedDomain = getXgetDomain();
+    if (savedDomain !== DEFAULT_XGET_DOMAIN) {
+      xgetInstances.push({
+        name: new URL(savedDomain).hostname,
+        url: savedDomain,
+      });
+    }
+  }
+
+  instanceMode =
+    localStorage.getItem(INSTANCE_MODE_STORAGE_KEY) === "auto"
+      ? "auto"
+      : "manual";
+
+  renderXgetInstances();
+
+  if (instanceMode === "auto") {
+    probeXgetInstances();
+  }
+}
+
+/**
+ * Persist the saved instances and the selection mode
+ */
+function saveXgetInstances() {
+  localStorage.setItem(INSTANCES_STORAGE_KEY, JSON.stringify(xgetInstances));
+  localStorage.setItem(INSTANCE_MODE_STORAGE_KEY, instanceMode);
+}
+
+/**
+ * Render the instance selector and the instance list with health badges
+ */
+function renderXgetInstances() {
+  const currentDomain = getXgetDomain();
+  const current = xgetInstances.find(
+    (instance) => instance.url === currentDomain
+  );
+
+  const options = [["auto", "自动选择（延迟最低的健康实例）"]];
+  for (const instance of xgetInstances) {
+    options.push([instance.url, `${instance.name}（${instance.url}）`]);
+  }
+  if (!current) {
+    options.push(["custom", `手动输入的域名（${currentDomain}）`]);
+  }
+
+  xgetInstanceSelect.replaceChildren(
+    ...options.map(([value, label]) => {
+      const option = document.createElement("option");
+      option.value = value;
+      option.textContent = label;
+      return option;
+    })
+  );
+  xgetInstanceSelect.value =
+    instanceMode === "auto" ? "auto" : (current?.url ?? "custom");
+
+  instanceList.replaceChildren(
+    ...xgetInstances.map((instance) => {
+      const item = document.createElement("li");
+      item.className = "instance-item";
+      item.classList.toggle("active", instance === current);
+      item.dataset.url = instance.url;
+
+      const name = document.createElement("span");
+      name.className = "instance-name";
+      name.textContent = instance.name;
+
+      const url = document.createElement("span");
+      url.className = "instance-url";
+      url.textContent = instance.url;
+
+      const health = instanceHealth.get(instance.url);
+      const badge = document.createElement("span");
+      badge.className = `instance-badge ${health?.status ?? "unknown"}`;
+      badge.textContent = getInstanceBadgeText(health);
+      if (health?.error) {
+        badge.title = health.error;
+      }
+
+      const useButton = document.createElement("button");
+      useButton.type = "button";
+      useButton.className = "batch-btn";
+      useButton.dataset.action = "use";
+      useButton.textContent = "使用";
+
+      const removeButton = document.createElement("button");
+      removeButton.type = "button";
+      removeButton.className = "batch-btn";
+      removeButton.dataset.action = "remove";
+      removeButton.textContent = "删除";
+      removeButton.disabled = xgetInstances.length === 1;
+
+      item.append(name, url, badge, useButton, removeButton);
+      return item;
+    })
+  );
+}
+
+/**
+ * Describe a probe result for the health badge
+ * @param {?{status: string, latency: ?number, error: ?string}} health - Probe result, null when not probed yet
+ * @returns {string} Badge text
+ */
+function getInstanceBadgeText(health) {
+  switch (health?.status) {
+    case "checking":
+      return "检测中...";
+    case "healthy":
+      return `${health.latency} ms`;
+    case "unhealthy":
+      return "异常";
+    case "timeout":
+      return "超时";
+    case "unreachable":
+      return "不可达";
+    default:
+      return "未检测";
+  }
+}
+
+/**
+ * Probe all saved instances in parallel
+ * In auto mode the fastest healthy instance becomes the active domain
+ * @async
+ * @returns {Promise<void>}
+ */
+async function probeXgetInstances() {
+  const instances = [...xgetInstances];
+  for (const instance of instances) {
+    instanceHealth.set(instance.url, { status: "checking" });
+  }
+  instanceProbeBtn.disabled = true;
+  renderXgetInstances();
+
+  await Promise.all(
+    instances.map(async (instance) => {
+      const result = await probeXgetInstance(instance.url, {
+        timeout: INSTANCE_PROBE_TIMEOUT,
+      });
+      instanceHealth.set(instance.url, result);
+      renderXgetInstances();
+    })
+  );
+
+  instanceProbeBtn.disabled = false;
+
+  if (instanceMode === "auto") {
+    const fastest = instances
+      .filter(
+        (instance) => instanceHealth.get(instance.url)?.status === "healthy"
+      )
+      .sort(
+        (a, b) =>
+          instanceHealth.get(a.url).latency - instanceHealth.get(b.url).latency
+      )[0];
+
+    if (fastest && fastest.url !== getXgetDomain()) {
+      applyXgetDomain(fastest.url);
+      return;
+    }
+  }
+  renderXgetInstances();
+}
+
+/**
+ * Make a domain the active Xget domain and re-run the current conversion
+ * @param {string} url - Xget instance URL
+ */
+function applyXgetDomain(url) {
+  xgetDomainInput.value = url;
+  saveDomain();
+  handleDomainInput();
+  renderXgetInstances();
+  updateAddressBar();
+}
+
+/**
+ * Handle the instance selector, switching between auto and manual selection
+ */
+function handleInstanceSelect() {
+  const value = xgetInstanceSelect.value;
+
+  if (value === "auto") {
+    instanceMode = "auto";
+    saveXgetInstances();
+    probeXgetInstances();
+    return;
+  }
+
+  instanceMode = "manual";
+  saveXgetInstances();
+  if (value !== "custom") {
+    applyXgetDomain(value);
+  }
+}
+
+/**
+ * Typing a domain by hand always leaves auto mode
+ */
+function handleManualDomainInput() {
+  if (instanceMode === "auto") {
+    instanceMode = "manual";
+    saveXgetInstances();
+  }
+  renderXgetInstances();
+}
+
+/**
+ * Save the current domain as a named instance, renaming it if already saved
+ */
+function saveCurrentInstance() {
+  const domain = xgetDomainInput.value.trim();
+  if (!domain || !isValidUrl(domain)) {
+    showError("请先输入有效的 Xget 域名");
+    return;
+  }
+
+  const url = domain.replace(/\/$/, "");
+  const name = instanceNameInput.value.trim() || new URL(url).hostname;
+  const existing = xgetInstances.find((instance) => instance.url === url);
+
+  if (existing) {
+    existing.name = name;
+  } else {
+    xgetInstances.push({ name, url });
+  }
+
+  instanceNameInput.value = "";
+  hideError();
+  saveXgetInstances();
+  renderXgetInstances();
+}
+
+/**
+ * Handle use and remove buttons in the instance list
+ * @param {MouseEvent} e - Click event
+ */
+function handleInstanceAction(e) {
+  const button = e.target.closest("button[data-action]");
+  if (!button) {
+    return;
+  }
+
+  const url = button.closest(".instance-item").dataset.url;
+
+  if (button.dataset.action === "use") {
+    instanceMode = "manual";
+    saveXgetInstances();
+    applyXgetDomain(url);
+    return;
+  }
+
+  if (button.dataset.action === "remove" && xgetInstances.length > 1) {
+    xgetInstances = xgetInstances.filter((instance) => instance.url !== url);
+    instanceHealth.delete(url);
+    saveXgetInstances();
+    renderXgetInstances();
+  }
 }
 
 // ============================================================================
@@ -185,7 +1274,7 @@ function getXgetDomain() {
 // ============================================================================
 
 /**
- * Load platform configuration from the official Xget repository on Gitee
+ * Load the bundled platform configuration, then sync the optional remote catalog
  * @async
  * @function loadPlatforms
  * @returns {Promise<void>}
@@ -194,27 +1283,17 @@ async function loadPlatforms() {
   try {
     showLoading("正在加载平台配置...");
 
-    // // Fetch platforms.js
-    // const response = await fetch(
-    //   "https://cdn.jsdelivr.net/gh/masx200/Xget@main/src/config/platforms.js",
-    // );
-
-    // if (!response.ok) {
-    //   throw new Error(
-    //     `获取平台数据失败: ${response.status} ${response.statusText}`,
-    //   );
-    // }
-
-    // const fileContent = await response.text();
-
-    // Parse the platform data from the JavaScript file
+    // Parse the platform data from the bundled module
     const module = await import("./platforms.js");
-    platformsData = parsePlatformsData(module);
+    bundledPlatformsData = parsePlatformsData(module);
 
-    if (Object.keys(platformsData).length === 0) {
+    if (Object.keys(bundledPlatformsData).length === 0) {
       throw new Error("在配置文件中未找到平台数据");
     }
 
+    catalogUrlInput.value = getCatalogUrl();
+    await syncPlatformCatalog();
+
     hideError();
   } catch (error) {
     console.error("加载平台失败:", error);
@@ -223,9 +1302,9 @@ async function loadPlatforms() {
 }
 
 /**
- * Parse platform data from JavaScript file content
- * Extracts the PLATFORMS object using improved regex and parsing logic
- * @param {string} fileContent - Raw JavaScript file content
+ * Parse platform data from the bundled platforms.js module
+ * Remote catalogs are parsed by parsePlatformCatalog instead
+ * @param {Object} module - Imported platforms.js module
  * @returns {Object.<string, string>} Parsed platform mappings
  * @throws {Error} When platform data cannot be parsed
  */
@@ -234,83 +1313,33 @@ function parsePlatformsData(module) {
     throw new Error("无法在模块中找到 PLATFORMS 对象");
   }
   return JSON.parse(JSON.stringify(module.PLATFORMS));
-  // try {
-  //   // First, try to find the PLATFORMS export
-  //   const platformsMatch = fileContent.match(
-  //     /export\s+const\s+PLATFORMS\s*=\s*{([\s\S]*?)};/,
-  //   );
-
-  //   if (!platformsMatch) {
-  //     throw new Error("无法在文件中找到 PLATFORMS 对象");
-  //   }
-
-  //   // Extract the content between the braces
-  //   const platformsContent = platformsMatch[1];
-
-  //   // Parse the object content more carefully
-  //   const platforms = {};
-
-  //   // Split by lines and process each line
-  //   const lines = platformsContent.split("\n");
-
-  //   for (const line of lines) {
-  //     const trimmed = line.trim();
-
-  //     // Skip empty lines, comments, and other non-key-value content
-  //     if (
-  //       !trimmed ||
-  //       trimmed.startsWith("//") ||
-  //       trimmed.startsWith("/*") ||
-  //       trimmed.startsWith("*") ||
-  //       trimmed === "{" ||
-  //       trimmed === "}" ||
-  //       trimmed === "," ||
-  //       !trimmed.includes(":")
-  //     ) {
-  //       continue;
-  //     }
-
-  //     // Match various key-value patterns
-  //     // Handles: 'key': 'value', "key": "value", key: 'value', key: "value"
-  //     const keyValueMatch = trimmed.match(
-  //       /^['"]?([^'":\s,]+)['"]?\s*:\s*['"]([^'"]+)['"][\s,]*$/,
-  //     );
-
-  //     if (keyValueMatch) {
-  //       const [, key, value] = keyValueMatch;
-  //       // Clean up the key and value
-  //       const cleanKey = key.trim();
-  //       const cleanValue = value.trim();
-
-  //       // Only add valid HTTP/HTTPS URLs
-  //       if (cleanValue.startsWith("http")) {
-  //         platforms[cleanKey] = cleanValue;
-  //       }
-  //     }
-  //   }
-
-  //   // Validate that we found some platforms
-  //   if (Object.keys(platforms).length === 0) {
-  //     throw new Error("未能解析出任何平台数据");
-  //   }
-
-  //   console.log(`成功解析 ${Object.keys(platforms).length} 个平台配置`);
-  //   return platforms;
-  // } catch (error) {
-  //   console.error("解析平台数据出错:", error);
-  //   throw new Error(`解析平台配置失败: ${error.message}`);
-  // }
-}
-
-/**
- * Get display name for platform (simplified version)
- * Currently returns the platform key as the display name
+}
+
+/**
+ * Get display name for platform
+ * Uses the platform metadata (custom platforms included), otherwise the key
  * @param {string} key - Platform key identifier
- * @param {string} url - Platform base URL
  * @returns {string} Display name for the platform
  */
-function getPlatformDisplayName(key, url) {
-  return key;
+function getPlatformDisplayName(key) {
+  return getPlatformMetadata()[key]?.name || key;
+}
+
+/**
+ * Get the metadata records of the built-in and custom platforms
+ * Custom platforms only carry a name and a category
+ * @returns {Object.<string, {name: string, category: string, icon: string, sample?: {url: string, path: string}, docs?: string}>} Platform key to metadata record mappings
+ */
+function getPlatformMetadata() {
+  const metadata = { ...PLATFORM_METADATA };
+  for (const platform of customPlatforms) {
+    metadata[platform.key] = {
+      name: platform.name || platform.key,
+      category: platform.category || CUSTOM_PLATFORM_CATEGORY,
+      icon: "⭐",
+    };
+  }
+  return metadata;
 }
 
 // ============================================================================
@@ -323,276 +1352,2760 @@ function getPlatformDisplayName(key, url) {
  * @function handleUrlInput
  */
 function handleUrlInput() {
-  const url = originalUrlInput.value.trim();
+  let url = originalUrlInput.value.trim();
+  platformSnippets.replaceChildren();
+  githubHint.replaceChildren();
+  platformChoice.replaceChildren();
+  renderConversionTrace(null);
+  renderSecretWarning([], url);
+
+  if (!url) {
+    resetPlatformStatus();
+    hideError();
+    hideResult();
+    return;
+  }
+
+  // Plain container image references (nginx:1.27, ghcr.io/owner/img) have no scheme
+  if (conversionMode === "convert" && isExplicitImageReference(url)) {
+    const imageConversion = convertImageReference(url);
+    if (imageConversion) {
+      performImageConversion(imageConversion);
+      return;
+    }
+  }
+
+  // git@host:owner/repo.git, ssh:// and git:// remotes are cloned over HTTPS through Xget
+  if (conversionMode === "convert") {
+    url = normalizeGitRemote(url) ?? url;
+  }
+
+  if (!isValidUrl(url)) {
+    showPlatformError("URL 格式无效");
+    hideResult();
+    return;
+  }
+
+  if (conversionMode === "reverse") {
+    performReverseConversion(url);
+    return;
+  }
+
+  // Detect platform from URL
+  const detectedPlatform = detectPlatform(url);
+
+  if (detectedPlatform) {
+    showPlatformDetected(detectedPlatform.key, detectedPlatform.name);
+    hideError();
+    // Automatically convert the URL in real-time
+    performUrlConversion(url, detectedPlatform);
+
+    if (detectedPlatform.key === "gh") {
+      renderGitHubHint(url);
+    }
+
+    // AI inference providers are used through SDKs rather than page URLs
+    renderSnippetCards(
+      platformSnippets,
+      generateAiProviderSnippets(getXgetDomain(), detectedPlatform.key)
+    );
+  } else {
+    showPlatformError("平台不受支持或无法识别");
+    hideResult();
+  }
+}
+
+/**
+ * Validate URL format using the URL constructor
+ * @param {string} string - URL string to validate
+ * @returns {boolean} True if valid URL format
+ */
+function isValidUrl(string) {
+  try {
+    new URL(string);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Detect platform from URL using priority-based matching
+ * Priority order: exact hostname → path-based routing → subdomain → base domain
+ * When several platforms are plausible, the one the user picked before wins
+ * @param {string} url - URL to analyze
+ * @returns {Object|null} Platform object with key, name, baseUrl and the conversion trace, or null if not found
+ */
+function detectPlatform(url) {
+  const converted = convert(url, {
+    domain: getXgetDomain(),
+    platforms: platformsData,
+    preferredKey: getPreferredPlatformKey(url),
+  });
+  if (!converted) {
+    return null;
+  }
+
+  return {
+    key: converted.key,
+    name: getPlatformDisplayName(converted.key),
+    baseUrl: platformsData[converted.key],
+    trace: converted.trace,
+  };
+}
+
+// ============================================================================
+// URL Conversion Functions
+// ============================================================================
+
+/**
+ * Convert URL to Xget format with real-time processing
+ * Builds the Xget URL and displays it in the result section with the trace
+ * of how the platform was detected
+ * @param {string} url - Original URL to convert
+ * @param {Object} detectedPlatform - Platform object with key, name, baseUrl and trace
+ */
+function performUrlConversion(url, detectedPlatform) {
+  try {
+    const xgetUrl = buildXgetUrl(url, detectedPlatform);
+
+    // Display the result
+    convertedUrlInput.value = xgetUrl;
+    renderPlatformChoice(detectedPlatform.trace, url);
+    renderConversionTrace(detectedPlatform.trace, url);
+    renderSecretWarning(scanUrlSecrets(url), url);
+    showResult();
+    hideError();
+    // Keep credentials out of the stored history
+    if (secretFindings.length === 0) {
+      scheduleHistoryRecord(url, xgetUrl, detectedPlatform.key);
+    }
+
+    // Reset copy button state
+    resetCopyButton();
+  } catch (error) {
+    console.error("转换错误:", error);
+    showError(`URL 转换失败: ${error.message}`);
+  }
+}
+
+/**
+ * Build the Xget URL for an original URL
+ * Keeps the path and query of the original URL under the platform prefix
+ * Special handling for GitHub blob URLs: automatically converts them to raw URLs
+ * Example: /owner/repo/blob/branch/file → /owner/repo/raw/refs/heads/branch/file
+ * @param {string} url - Original URL to convert
+ * @param {Object} detectedPlatform - Platform object with key, name, and baseUrl
+ * @returns {string} Converted Xget URL
+ * @throws {TypeError} When the URL cannot be parsed
+ */
+function buildXgetUrl(url, detectedPlatform) {
+  const converted = convert(url, {
+    domain: getXgetDomain(),
+    platforms: platformsData,
+    key: detectedPlatform.key,
+  });
+  if (!converted) {
+    throw new TypeError(`无效的 URL: ${url}`);
+  }
+
+  return converted.xgetUrl;
+}
+
+/**
+ * Reverse an Xget URL back into the original upstream URL
+ * Only URLs under one of the known Xget domains are recognized
+ * @param {string} url - Xget URL to reverse
+ */
+function performReverseConversion(url) {
+  const reversed = reverseXgetUrl(
+    url,
+    getKnownXgetDomains(),
+    platformsData,
+    PLATFORM_ROUTES
+  );
+
+  if (!reversed) {
+    showPlatformError("不是已配置 Xget 域名下的受支持链接");
+    hideResult();
+    return;
+  }
+
+  // Show the matched platform together with its upstream base URL
+  platformName.textContent = `已识别 ${reversed.key}（${reversed.baseUrl}）`;
+  platformDot.className = "platform-dot detected";
+
+  convertedUrlInput.value = reversed.originalUrl;
+  renderSecretWarning(scanUrlSecrets(url), url);
+  showResult();
+  hideError();
+  resetCopyButton();
+  // Keep credentials out of the stored history
+  if (secretFindings.length === 0) {
+    scheduleHistoryRecord(url, reversed.originalUrl, reversed.key);
+  }
+}
+
+// ============================================================================
+// Conversion Trace
+// ============================================================================
+
+/**
+ * Platform detection levels, from the most to the least confident match
+ * @type {Array<{match: string, label: string}>}
+ */
+const DETECTION_LEVELS = [
+  { match: "exact-host", label: "1. 精确主机名" },
+  { match: "route", label: "2. 路径路由规则" },
+  { match: "subdomain", label: "3. 子域名" },
+  { match: "shared-host", label: "4. 共享主机名（路由规则未命中）" },
+  { match: "base-domain", label: "5. 主域名（弱匹配）" },
+];
+
+/**
+ * Render the "how was this converted" panel from a conversion trace
+ * The panel opens by itself when only the weak base-domain fallback matched
+ * @param {?Object} trace - Trace returned by convert, null hides the panel
+ * @param {string} [url] - Original URL
+ */
+function renderConversionTrace(trace, url) {
+  conversionTraceBody.replaceChildren();
+  conversionTrace.classList.toggle("hidden", !trace);
+  if (!trace) {
+    return;
+  }
+
+  const weak = trace.match === "base-domain";
+  conversionTrace.classList.toggle("weak", weak);
+  if (weak) {
+    const hostname = new URL(url).hostname;
+    const warning = document.createElement("p");
+    warning.className = "conversion-trace-warning";
+    warning.textContent = `⚠️ ${hostname} 不在任何平台的主机名中，只是与 ${
+      trace.parts.prefix
+    }（${new URL(platformsData[trace.parts.prefix]).hostname}）属于同一主域名。这是最弱的匹配方式，转换结果很可能无效，请确认。`;
+    conversionTraceBody.appendChild(warning);
+    conversionTrace.open = true;
+  }
+
+  const matchedIndex = DETECTION_LEVELS.findIndex(
+    (level) => level.match === trace.match
+  );
+  appendTraceSection(
+    "匹配级别",
+    DETECTION_LEVELS.map((level, index) => {
+      const item = document.createElement("li");
+      item.classList.toggle("matched", index === matchedIndex);
+      const state =
+        index === matchedIndex
+          ? "命中"
+          : index < matchedIndex
+            ? "未命中"
+            : "未尝试";
+      item.textContent = `${level.label}：${state}`;
+      return item;
+    })
+  );
+
+  appendTraceSection(
+    "候选平台",
+    trace.candidates.map(({ key, match, confidence }) => {
+      const item = document.createElement("li");
+      const level = DETECTION_LEVELS.find((level) => level.match === match);
+      item.textContent = `${key}（${getPlatformDisplayName(key)}）· ${
+        level?.label ?? match
+      } · 置信度 ${confidence}%${
+        key === trace.parts.prefix ? " ← 已选用" : ""
+      }`;
+      return item;
+    })
+  );
+
+  appendTraceSection(
+    "路径改写",
+    (trace.rewrites.length > 0 ? trace.rewrites : [null]).map((rewrite) => {
+      const item = document.createElement("li");
+      item.textContent = rewrite
+        ? `${rewrite.description || rewrite.rule}：${rewrite.from || "（空）"} → ${
+            rewrite.to || "（空）"
+          }`
+        : "未改写路径";
+      return item;
+    })
+  );
+
+  appendTraceSection(
+    "最终 URL",
+    [
+      ["域名", trace.parts.domain],
+      ["前缀", `/${trace.parts.prefix}`],
+      ["路径", trace.parts.path || "（空）"],
+    ].map(([label, value]) => {
+      const item = document.createElement("li");
+      const name = document.createElement("span");
+      name.className = "conversion-trace-part";
+      name.textContent = label;
+      const code = document.createElement("code");
+      code.textContent = value;
+      item.append(name, code);
+      return item;
+    })
+  );
+}
+
+/**
+ * Append a titled list to the conversion trace panel
+ * @param {string} title - Section title
+ * @param {HTMLLIElement[]} items - List items
+ */
+function appendTraceSection(title, items) {
+  const heading = document.createElement("h4");
+  heading.className = "conversion-trace-title";
+  heading.textContent = title;
+
+  const list = document.createElement("ul");
+  list.className = "command-changes";
+  list.append(...items);
+
+  conversionTraceBody.append(heading, list);
+}
+
+// ============================================================================
+// Platform Choice
+// ============================================================================
+
+/**
+ * localStorage key holding the platform picked for ambiguous URLs, by host/path pattern
+ * @type {string}
+ */
+const PLATFORM_CHOICES_STORAGE_KEY = "xgetPlatformChoices";
+
+/**
+ * Read the remembered platform choices
+ * @returns {Object.<string, string>} Host/path pattern to platform key mappings
+ */
+function readPlatformChoices() {
+  try {
+    return JSON.parse(
+      localStorage.getItem(PLATFORM_CHOICES_STORAGE_KEY) ?? "{}"
+    );
+  } catch (error) {
+    console.error("解析平台选择失败:", error);
+    return {};
+  }
+}
+
+/**
+ * Get the platform the user picked for URLs like this one
+ * @param {string} url - Upstream URL
+ * @returns {string|undefined} Remembered platform key
+ */
+function getPreferredPlatformKey(url) {
+  const pattern = getPlatformChoicePattern(url);
+  return pattern ? readPlatformChoices()[pattern] : undefined;
+}
+
+/**
+ * Remember or forget the platform picked for URLs like this one
+ * @param {string} url - Upstream URL
+ * @param {?string} key - Platform key, null to forget the choice
+ */
+function savePlatformChoice(url, key) {
+  const pattern = getPlatformChoicePattern(url);
+  if (!pattern) {
+    return;
+  }
+
+  const choices = readPlatformChoices();
+  if (key) {
+    choices[pattern] = key;
+  } else {
+    delete choices[pattern];
+  }
+  localStorage.setItem(PLATFORM_CHOICES_STORAGE_KEY, JSON.stringify(choices));
+}
+
+/**
+ * Show an inline picker when several platforms plausibly match the URL
+ * @param {Object} trace - Trace returned by convert
+ * @param {string} url - Original URL
+ */
+function renderPlatformChoice(trace, url) {
+  platformChoice.replaceChildren();
+  if (trace.plausible.length < 2) {
+    return;
+  }
+
+  platformChoice.dataset.url = url;
+  const chosen = trace.parts.prefix;
+  const pattern = getPlatformChoicePattern(url);
+
+  const summary = document.createElement("p");
+  summary.className = "platform-choice-summary";
+  summary.textContent = `此链接可能属于 ${trace.plausible.length} 个平台，${
+    trace.preferred ? "已按你之前的选择" : "已按置信度最高"
+  }使用 ${chosen}：`;
+
+  const buttons = document.createElement("div");
+  buttons.className = "ref-candidates";
+  for (const candidate of trace.candidates) {
+    if (!trace.plausible.includes(candidate.key)) {
+      continue;
+    }
+
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "ref-candidate";
+    button.classList.toggle("active", candidate.key === chosen);
+    button.dataset.key = candidate.key;
+    button.textContent = `${getPlatformDisplayName(candidate.key)}（${
+      candidate.key
+    }，${candidate.confidence}%）`;
+    buttons.appendChild(button);
+  }
+
+  if (trace.preferred) {
+    const forgetButton = document.createElement("button");
+    forgetButton.type = "button";
+    forgetButton.className = "ref-candidate";
+    forgetButton.dataset.action = "forget";
+    forgetButton.textContent = "忘记选择";
+    buttons.appendChild(forgetButton);
+  }
+
+  const note = document.createElement("p");
+  note.className = "platform-choice-note";
+  note.textContent = `选择会按 ${pattern} 记住，以后同类链接直接使用所选平台。`;
+
+  platformChoice.append(summary, buttons, note);
+}
+
+/**
+ * Handle clicks in the platform picker: remember the choice and convert again
+ * @param {MouseEvent} e - Click event
+ */
+function handlePlatformChoiceClick(e) {
+  const button = e.target.closest(".ref-candidate");
+  if (!button) {
+    return;
+  }
+
+  savePlatformChoice(
+    platformChoice.dataset.url,
+    button.dataset.action === "forget" ? null : button.dataset.key
+  );
+  handleUrlInput();
+}
+
+// ============================================================================
+// Secret Detection
+// ============================================================================
+
+/**
+ * Display names of the URL parts a secret can be found in
+ * @type {Object.<string, string>}
+ */
+const SECRET_LOCATIONS = {
+  userinfo: "用户信息",
+  query: "查询参数",
+  path: "路径",
+  fragment: "片段（#）",
+};
+
+/**
+ * Matches URLs inside free-form text such as batch lines and shell commands
+ * @type {RegExp}
+ */
+const TEXT_URL_PATTERN = /https?:\/\/[^\s'"`]+/g;
+
+/**
+ * Warn about credentials and API keys in the URL being converted
+ * Copying and sharing are blocked until the user strips, masks or explicitly
+ * accepts them
+ * @param {Array<Object>} findings - Findings of scanUrlSecrets
+ * @param {string} url - Scanned URL
+ */
+function renderSecretWarning(findings, url) {
+  secretFindings = findings;
+  secretsAcknowledged = false;
+  secretList.replaceChildren();
+  secretWarning.classList.toggle("hidden", findings.length === 0);
+  if (findings.length === 0) {
+    return;
+  }
+
+  secretWarning.dataset.url = url;
+  // Only URLs can be stripped or masked, image references can only be copied as-is
+  secretStripBtn.disabled = !isValidUrl(url);
+  secretMaskBtn.disabled = !isValidUrl(url);
+  for (const finding of findings) {
+    const item = document.createElement("li");
+
+    const title = document.createElement("strong");
+    title.textContent = finding.label;
+
+    const where = document.createElement("code");
+    where.textContent = `${SECRET_LOCATIONS[finding.location]}${
+      finding.name ? ` ${finding.name}` : ""
+    }：${maskSecretValue(finding.value)}`;
+
+    const description = document.createElement("p");
+    description.className = "secret-description";
+    description.textContent = finding.description;
+
+    item.append(title, " ", where, description);
+    secretList.appendChild(item);
+  }
+}
+
+/**
+ * Check that the detected secrets were handled before copying or sharing
+ * Reveals the warning when they were not
+ * @returns {boolean} True if copying may proceed
+ */
+function confirmSecretsHandled() {
+  if (secretFindings.length === 0 || secretsAcknowledged) {
+    return true;
+  }
+
+  flashElement(secretWarning);
+  return false;
+}
+
+/**
+ * Strip or mask the detected secrets in the original URL and convert again
+ * @param {string} mode - "strip" or "mask"
+ */
+function redactSecrets(mode) {
+  originalUrlInput.value = redactUrlSecrets(
+    secretWarning.dataset.url,
+    secretFindings,
+    mode
+  );
+  handleUrlInput();
+  updateAddressBar();
+}
+
+/**
+ * Copy the converted URL without removing the detected secrets
+ */
+function copyWithSecrets() {
+  secretsAcknowledged = true;
+  copyToClipboard();
+}
+
+/**
+ * Scan every URL in free-form text for secrets
+ * @param {string} text - Batch input, shell script, lockfile or document
+ * @returns {Array<Object>} Findings of scanUrlSecrets for all URLs
+ */
+function scanTextSecrets(text) {
+  return (text.match(TEXT_URL_PATTERN) ?? []).flatMap(scanUrlSecrets);
+}
+
+/**
+ * Mask the secrets of every URL in free-form text
+ * @param {string} text - Single URL, batch input or shell script
+ * @returns {string} Text with the detected secrets masked
+ */
+function maskTextSecrets(text) {
+  return text.replace(TEXT_URL_PATTERN, (url) => {
+    const findings = scanUrlSecrets(url);
+    return findings.length > 0 ? redactUrlSecrets(url, findings, "mask") : url;
+  });
+}
+
+/**
+ * Ask before copying or downloading rewritten text whose input carries secrets
+ * The converted URLs keep the credentials of the original ones
+ * @param {string} text - Batch input, shell script, lockfile or document
+ * @returns {boolean} True if exporting may proceed
+ */
+function confirmTextSecrets(text) {
+  const count = scanTextSecrets(text).length;
+  return (
+    count === 0 ||
+    confirm(
+      `输入中包含 ${count} 处疑似密钥或凭据，转换结果会原样保留它们。仍然继续？`
+    )
+  );
+}
+
+// ============================================================================
+// GitHub Link Classification
+// ============================================================================
+
+/**
+ * Display names for the GitHub link types returned by classifyGitHubUrl
+ * @type {Object.<string, string>}
+ */
+const GITHUB_LINK_TYPES = {
+  repository: "仓库主页（可用于 git clone）",
+  file: "文件（已转换为 raw 下载链接）",
+  "raw-file": "Raw 文件",
+  directory: "目录链接",
+  "release-asset": "Release 资源",
+  "release-page": "Release 页面",
+  archive: "源码归档",
+  patch: "补丁文件",
+  page: "GitHub 页面",
+};
+
+/**
+ * Show what kind of GitHub link was converted
+ * Non-downloadable links are flagged and ambiguous branch/path splits
+ * are offered as candidates instead of silently guessing
+ * @param {string} url - Original github.com URL
+ */
+function renderGitHubHint(url) {
+  const urlObj = new URL(url);
+  const classification = classifyGitHubUrl(urlObj.pathname + urlObj.search);
+
+  const summary = document.createElement("p");
+  summary.className = classification.downloadable
+    ? "github-hint-summary"
+    : "github-hint-summary warning";
+  summary.textContent = classification.downloadable
+    ? `GitHub 链接类型：${GITHUB_LINK_TYPES[classification.type]}`
+    : `GitHub 链接类型：${GITHUB_LINK_TYPES[classification.type]}，无法直接下载`;
+  githubHint.appendChild(summary);
+
+  if (classification.candidates.length < 2) {
+    return;
+  }
+
+  const note = document.createElement("p");
+  note.className = "github-hint-note";
+  note.textContent = "分支名可能包含斜杠，请确认分支与文件路径的拆分方式：";
+
+  const list = document.createElement("div");
+  list.className = "ref-candidates";
+
+  classification.candidates.forEach((candidate, index) => {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = index === 0 ? "ref-candidate active" : "ref-candidate";
+    button.textContent = `${candidate.ref} → ${candidate.file || "/"}`;
+    button.title = `分支/标签: ${candidate.ref}\n文件: ${candidate.file}`;
+    button.addEventListener("click", () => {
+      list
+        .querySelectorAll(".ref-candidate")
+        .forEach((item) => item.classList.toggle("active", item === button));
+      convertedUrlInput.value = `${getXgetDomain()}/gh${candidate.path}`;
+      resetCopyButton();
+    });
+    list.appendChild(button);
+  });
+
+  githubHint.append(note, list);
+}
+
+// ============================================================================
+// Container Image Conversion
+// ============================================================================
+
+/**
+ * Convert a container image reference to go through an Xget cr-* prefix
+ * Docker Hub references get the implicit registry and library/ namespace
+ * Example: nginx:1.27 → xget.example.com/cr-docker/library/nginx:1.27
+ * @param {string} reference - Image reference without URL scheme
+ * @returns {?{key: string, image: Object, xgetReference: string}} Conversion or null when unsupported
+ */
+function convertImageReference(reference) {
+  const image = parseImageReference(reference);
+  if (!image) {
+    return null;
+  }
+
+  // A bare name with a dot (e.g. github.com) is far more likely a host than an image
+  if (image.isDockerHub && /^library\/[^\/]*\./.test(image.repository)) {
+    return null;
+  }
+
+  const detectedPlatform = detectPlatform(
+    `https://${image.registry}/v2/${image.repository}/manifests/${image.tag ?? "latest"}`
+  );
+  if (!detectedPlatform || !detectedPlatform.key.startsWith("cr-")) {
+    return null;
+  }
+
+  const xgetDomain = new URL(getXgetDomain());
+  const xgetHost = xgetDomain.host + xgetDomain.pathname.replace(/\/$/, "");
+  const suffix =
+    (image.tag ? `:${image.tag}` : "") +
+    (image.digest ? `@${image.digest}` : "");
+
+  return {
+    key: detectedPlatform.key,
+    image,
+    xgetReference: `${xgetHost}/${detectedPlatform.key}/${image.repository}${suffix}`,
+  };
+}
+
+/**
+ * Check whether free-form input explicitly names an image
+ * Only references with a tag, a digest or a path (which includes any registry
+ * host) count, so a bare word such as `nginx` or `example` is still reported
+ * as an invalid URL
+ * @param {string} input - Trimmed user input
+ * @returns {boolean} True if the input should be converted as an image reference
+ */
+function isExplicitImageReference(input) {
+  return /[:@\/]/.test(input);
+}
+
+/**
+ * Display a converted image reference with pull commands and mirror config
+ * @param {{key: string, image: Object, xgetReference: string}} imageConversion - Result of convertImageReference
+ */
+function performImageConversion(imageConversion) {
+  const { key, image, xgetReference } = imageConversion;
+
+  showPlatformDetected(key, getPlatformDisplayName(key));
+  convertedUrlInput.value = xgetReference;
+
+  renderSnippetCards(
+    platformSnippets,
+    generateRegistryMirrorConfigs({
+      xgetDomain: getXgetDomain(),
+      key,
+      image,
+      xgetReference,
+    })
+  );
+
+  // Image references are no URLs (nginx:1.27 would be read as host and
+  // port), so they are scanned as the path of a placeholder URL
+  const reference = originalUrlInput.value.trim();
+  renderSecretWarning(
+    scanUrlSecrets(`https://localhost/${reference}`),
+    reference
+  );
+  showResult();
+  hideError();
+  resetCopyButton();
+  // Keep credentials out of the stored history
+  if (secretFindings.length === 0) {
+    scheduleHistoryRecord(reference, xgetReference, key);
+  }
+}
+
+// ============================================================================
+// Batch Conversion
+// ============================================================================
+
+/**
+ * Convert a single batch line without touching the single URL UI
+ * @param {string} input - Trimmed input line
+ * @param {number} line - 1-based line number in the batch input
+ * @returns {{line: number, input: string, status: string, key: string|null, output: string|null}} Batch row
+ */
+function convertBatchLine(input, line) {
+  const gitRemote = normalizeGitRemote(input);
+  if (gitRemote) {
+    const converted = convertUrlInCommand(gitRemote);
+    if (!converted) {
+      return { line, input, status: "unsupported", key: null, output: null };
+    }
+    return {
+      line,
+      input,
+      status: "converted",
+      key: converted.key,
+      output: converted.xgetUrl,
+    };
+  }
+
+  const imageConversion =
+    isExplicitImageReference(input) && convertImageReference(input);
+  if (imageConversion) {
+    return {
+      line,
+      input,
+      status: "converted",
+      key: imageConversion.key,
+      output: imageConversion.xgetReference,
+    };
+  }
+
+  if (!isValidUrl(input)) {
+    return { line, input, status: "invalid", key: null, output: null };
+  }
+
+  const detectedPlatform = detectPlatform(input);
+  if (!detectedPlatform) {
+    return { line, input, status: "unsupported", key: null, output: null };
+  }
+
+  try {
+    return {
+      line,
+      input,
+      status: "converted",
+      key: detectedPlatform.key,
+      output: buildXgetUrl(input, detectedPlatform),
+    };
+  } catch {
+    return { line, input, status: "invalid", key: null, output: null };
+  }
+}
+
+/**
+ * Handle batch input changes
+ * Converts every non-empty line and renders the results table
+ */
+function handleBatchInput() {
+  batchResults = batchInput.value
+    .split(/\r?\n/)
+    .map((text, index) => ({ text: text.trim(), line: index + 1 }))
+    .filter(({ text }) => text)
+    .map(({ text, line }) => convertBatchLine(text, line));
+
+  renderBatchResults();
+}
+
+/**
+ * Render the batch results table and summary
+ * Rows keep the order of the input so failed lines stay in place
+ */
+function renderBatchResults() {
+  const statusLabels = {
+    converted: "已转换",
+    unsupported: "不支持",
+    invalid: "无效",
+  };
+
+  batchResultsBody.replaceChildren(
+    ...batchResults.map((row) => {
+      const tr = document.createElement("tr");
+      tr.className = `batch-row ${row.status}`;
+
+      const cells = [
+        String(row.line),
+        row.input,
+        statusLabels[row.status],
+        row.key ?? "—",
+        row.output ?? "—",
+      ];
+      for (const text of cells) {
+        const td = document.createElement("td");
+        td.textContent = text;
+        tr.appendChild(td);
+      }
+
+      return tr;
+    })
+  );
+
+  const convertedCount = batchResults.filter(
+    (row) => row.status === "converted"
+  ).length;
+  const failedCount = batchResults.length - convertedCount;
+
+  const secretCount = batchResults.filter(
+    (row) => scanTextSecrets(row.input).length > 0
+  ).length;
+
+  batchSummary.textContent = batchResults.length
+    ? `共 ${batchResults.length} 行，已转换 ${convertedCount} 行，失败 ${failedCount} 行${
+        secretCount ? `，⚠️ ${secretCount} 行包含疑似密钥或凭据` : ""
+      }`
+    : "每行粘贴一个 URL";
+  batchResultsSection.classList.toggle("hidden", batchResults.length === 0);
+  batchKeepFailedBtn.disabled = failedCount === 0;
+  batchCopyBtn.disabled = convertedCount === 0;
+}
+
+/**
+ * Copy all converted batch URLs to the clipboard, one per line
+ * @async
+ */
+async function copyBatchConverted() {
+  const text = batchResults
+    .filter((row) => row.status === "converted")
+    .map((row) => row.output)
+    .join("\n");
+
+  if (!text || !confirmTextSecrets(batchInput.value)) {
+    return;
+  }
+
+  try {
+    await navigator.clipboard.writeText(text);
+    showTemporaryButtonText(batchCopyBtn, "已复制!");
+  } catch (error) {
+    showError("复制到剪贴板失败。请手动复制。");
+  }
+}
+
+/**
+ * Replace the batch input with the lines that failed to convert
+ * so they can be fixed and converted again
+ */
+function keepFailedBatchLines() {
+  const failedLines = batchResults
+    .filter((row) => row.status !== "converted")
+    .map((row) => row.input);
+
+  batchInput.value = failedLines.join("\n");
+  handleBatchInput();
+  batchInput.focus();
+}
+
+/**
+ * Download the batch results as a file
+ * @param {string} format - Export format: "txt", "csv" or "json"
+ */
+function downloadBatchResults(format) {
+  if (batchResults.length === 0 || !confirmTextSecrets(batchInput.value)) {
+    return;
+  }
+
+  try {
+    const { content, mimeType, extension } = exportBatchResults(
+      batchResults,
+      format
+    );
+    downloadFile(`xget-batch.${extension}`, content, mimeType);
+  } catch (error) {
+    console.error("导出失败:", error);
+    showError(`导出失败: ${error.message}`);
+  }
+}
+
+/**
+ * Trigger a browser download for generated text content
+ * @param {string} filename - Suggested file name
+ * @param {string} content - File content
+ * @param {string} mimeType - MIME type of the content
+ */
+function downloadFile(filename, content, mimeType) {
+  const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(blob);
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(link.href);
+}
+
+// ============================================================================
+// Shell Command Rewriting
+// ============================================================================
+
+/**
+ * Convert an upstream URL found inside a command
+ * URLs that already point at a known Xget domain are left alone
+ * @param {string} url - URL to convert
+ * @returns {?{key: string, xgetUrl: string}} Conversion or null when unsupported
+ */
+function convertUrlInCommand(url) {
+  if (!isValidUrl(url)) {
+    return null;
+  }
+
+  if (
+    reverseXgetUrl(url, getKnownXgetDomains(), platformsData, PLATFORM_ROUTES)
+  ) {
+    return null;
+  }
+
+  const detectedPlatform = detectPlatform(url);
+  if (!detectedPlatform) {
+    return null;
+  }
+
+  try {
+    return {
+      key: detectedPlatform.key,
+      xgetUrl: buildXgetUrl(url, detectedPlatform),
+    };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Handle shell command input changes
+ * Rewrites the command and lists every change that was made
+ */
+function handleCommandInput() {
+  const script = commandInput.value;
+
+  if (!script.trim()) {
+    commandResult.classList.add("hidden");
+    return;
+  }
+
+  const { output, changes } = rewriteShellCommand(script, {
+    convertUrl: convertUrlInCommand,
+    normalizeGitRemote,
+    convertImage: (reference) =>
+      convertImageReference(reference)?.xgetReference ?? null,
+  });
+
+  const changeTexts = changes.map(
+    (change) => `第 ${change.line} 行: ${change.from} → ${change.to}`
+  );
+  if (changeTexts.length === 0) {
+    changeTexts.push("未找到可转换的 URL 或包引用");
+  }
+  const secretCount = scanTextSecrets(script).length;
+  if (secretCount > 0) {
+    changeTexts.unshift(
+      `⚠️ 命令中包含 ${secretCount} 处疑似密钥或凭据，改写后会原样保留`
+    );
+  }
+
+  commandOutput.value = output;
+  commandChanges.replaceChildren(
+    ...changeTexts.map((text) =>
+      Object.assign(document.createElement("li"), { textContent: text })
+    )
+  );
+  commandResult.classList.remove("hidden");
+}
+
+/**
+ * Copy the rewritten command to the clipboard
+ * @async
+ */
+async function copyRewrittenCommand() {
+  if (!commandOutput.value || !confirmTextSecrets(commandInput.value)) {
+    return;
+  }
+
+  try {
+    await navigator.clipboard.writeText(commandOutput.value);
+    showTemporaryButtonText(commandCopyBtn, "已复制!");
+  } catch (error) {
+    commandOutput.select();
+    showError("复制到剪贴板失败。请手动复制。");
+  }
+}
+
+// ============================================================================
+// Lockfile Rewriting
+// ============================================================================
+
+/**
+ * Display names of lockfile entry statuses
+ * @type {Object.<string, string>}
+ */
+const LOCKFILE_STATUS_LABELS = {
+  rewritten: "已改写",
+  skipped: "已跳过",
+};
+
+/**
+ * Handle lockfile input changes
+ * Rewrites every download URL and lists rewritten and skipped entries
+ */
+function handleLockfileInput() {
+  const content = lockfileInput.value;
+
+  if (!content.trim()) {
+    lockfileResult = null;
+    lockfileSummary.textContent = "粘贴锁文件内容，或将文件拖放到输入框";
+    lockfileResultSection.classList.add("hidden");
+    return;
+  }
+
+  lockfileResult = rewriteLockfile(content, {
+    filename: lockfileName,
+    convertUrl: convertUrlInCommand,
+  });
+  const { label, output, entries } = lockfileResult;
+  const rewrittenCount = entries.filter(
+    (entry) => entry.status === "rewritten"
+  ).length;
+
+  lockfileOutput.value = output;
+  lockfileEntriesBody.replaceChildren(
+    ...entries.map((entry) => {
+      const tr = document.createElement("tr");
+      tr.className = `lockfile-row ${entry.status}`;
+
+      const cells = [
+        String(entry.line),
+        entry.name || "—",
+        LOCKFILE_STATUS_LABELS[entry.status],
+        entry.to ?? entry.reason,
+      ];
+      for (const text of cells) {
+        const td = document.createElement("td");
+        td.textContent = text;
+        tr.appendChild(td);
+      }
+      if (entry.from) {
+        tr.title = entry.from;
+      }
+
+      return tr;
+    })
+  );
+
+  lockfileSummary.textContent = entries.length
+    ? `${label}：共 ${entries.length} 条，已改写 ${rewrittenCount} 条，跳过 ${
+        entries.length - rewrittenCount
+      } 条`
+    : `${label}：未找到下载地址`;
+  lockfileDownloadBtn.disabled = rewrittenCount === 0;
+  lockfileResultSection.classList.remove("hidden");
+}
+
+/**
+ * Load a lockfile picked in the file dialog or dropped on the input
+ * The file name decides the format and the name of the download
+ * @async
+ * @param {File} file - Lockfile
+ */
+async function loadLockfile(file) {
+  try {
+    lockfileInput.value = await file.text();
+  } catch (error) {
+    showError(`读取失败：${file.name}`);
+    return;
+  }
+
+  lockfileName = file.name;
+  hideError();
+  handleLockfileInput();
+}
+
+/**
+ * Handle files dropped on the lockfile input
+ * @param {DragEvent} e - Drop event
+ */
+function handleLockfileDrop(e) {
+  const [file] = e.dataTransfer.files;
+  if (!file) {
+    return;
+  }
+
+  e.preventDefault();
+  loadLockfile(file);
+}
+
+/**
+ * Download the rewritten lockfile under its original name
+ */
+function downloadRewrittenLockfile() {
+  if (!lockfileResult || !confirmTextSecrets(lockfileInput.value)) {
+    return;
+  }
+
+  downloadFile(
+    lockfileResult.filename,
+    lockfileResult.output,
+    lockfileResult.format === "npm" ? "application/json" : "text/plain"
+  );
+}
+
+/**
+ * Copy the rewritten lockfile to the clipboard
+ * @async
+ */
+async function copyRewrittenLockfile() {
+  if (!lockfileOutput.value || !confirmTextSecrets(lockfileInput.value)) {
+    return;
+  }
+
+  try {
+    await navigator.clipboard.writeText(lockfileOutput.value);
+    showTemporaryButtonText(lockfileCopyBtn, "已复制!");
+  } catch (error) {
+    lockfileOutput.select();
+    showError("复制到剪贴板失败。请手动复制。");
+  }
+}
+
+// ============================================================================
+// Container Document Rewriting
+// ============================================================================
+
+/**
+ * Handle Dockerfile / compose / Kubernetes document input changes
+ * Rewrites image references and command URLs and shows a line-by-line diff
+ */
+function handleDocumentInput() {
+  const content = documentInput.value;
+
+  if (!content.trim()) {
+    documentResult = null;
+    documentSummary.textContent =
+      "粘贴 Dockerfile、compose.yaml 或 Kubernetes YAML，或将文件拖放到输入框";
+    documentResultSection.classList.add("hidden");
+    return;
+  }
+
+  documentResult = rewriteContainerDocument(content, {
+    filename: documentName,
+    convertUrl: convertUrlInCommand,
+    normalizeGitRemote,
+    convertImage: (reference) =>
+      convertImageReference(reference)?.xgetReference ?? null,
+  });
+  const { label, output, changes, diff } = documentResult;
+
+  documentOutput.value = output;
+  documentDiff.replaceChildren(
+    ...diff.flatMap(({ line, before, after }) => [
+      renderDiffLine("removed", line, before),
+      renderDiffLine("added", line, after),
+    ])
+  );
+
+  documentSummary.textContent = changes.length
+    ? `${label}：改写 ${changes.length} 处，涉及 ${diff.length} 行`
+    : `${label}：未找到可改写的镜像或 URL`;
+  documentDownloadBtn.disabled = changes.length === 0;
+  documentResultSection.classList.remove("hidden");
+}
+
+/**
+ * Render one side of a changed line
+ * @param {string} type - "removed" or "added"
+ * @param {number} line - 1-based line number
+ * @param {string} text - Line content
+ * @returns {HTMLElement} Diff line element
+ */
+function renderDiffLine(type, line, text) {
+  const row = document.createElement("div");
+  row.className = `diff-line ${type}`;
+
+  const number = document.createElement("span");
+  number.className = "diff-line-number";
+  number.textContent = `${type === "removed" ? "-" : "+"} ${line}`;
+
+  const content = document.createElement("span");
+  content.textContent = text;
+
+  row.append(number, content);
+  return row;
+}
+
+/**
+ * Load a document picked in the file dialog or dropped on the input
+ * The file name decides the document kind and the name of the download
+ * @async
+ * @param {File} file - Dockerfile, compose file or manifest
+ */
+async function loadDocument(file) {
+  try {
+    documentInput.value = await file.text();
+  } catch (error) {
+    showError(`读取失败：${file.name}`);
+    return;
+  }
+
+  documentName = file.name;
+  hideError();
+  handleDocumentInput();
+}
+
+/**
+ * Handle files dropped on the document input
+ * @param {DragEvent} e - Drop event
+ */
+function handleDocumentDrop(e) {
+  const [file] = e.dataTransfer.files;
+  if (!file) {
+    return;
+  }
+
+  e.preventDefault();
+  loadDocument(file);
+}
+
+/**
+ * Download the rewritten document under its original name
+ */
+function downloadRewrittenDocument() {
+  if (!documentResult || !confirmTextSecrets(documentInput.value)) {
+    return;
+  }
+
+  downloadFile(
+    documentResult.filename,
+    documentResult.output,
+    documentResult.kind === "dockerfile" ? "text/plain" : "application/yaml"
+  );
+}
+
+/**
+ * Copy the rewritten document to the clipboard
+ * @async
+ */
+async function copyRewrittenDocument() {
+  if (!documentOutput.value || !confirmTextSecrets(documentInput.value)) {
+    return;
+  }
+
+  try {
+    await navigator.clipboard.writeText(documentOutput.value);
+    showTemporaryButtonText(documentCopyBtn, "已复制!");
+  } catch (error) {
+    documentOutput.select();
+    showError("复制到剪贴板失败。请手动复制。");
+  }
+}
+
+// ============================================================================
+// Package Manager Configuration
+// ============================================================================
+
+/**
+ * Render package manager configuration snippets for the current Xget domain
+ */
+function renderPackageManagerConfigs() {
+  const snippets = generatePackageManagerConfigs(
+    getXgetDomain(),
+    platformsData
+  );
+  renderSnippetCards(configList, [
+    ...snippets,
+    ...generateGitInsteadOfRules(getXgetDomain(), platformsData),
+  ]);
+  populateDistroSelects();
+  renderDistroRepoConfigs();
+  renderAiProviderSnippets();
+  renderBrowserScripts();
+}
+
+/**
+ * Fill the Linux distribution selectors from DISTRO_RELEASES
+ * Only distributions whose mirror platform is in the catalog are offered,
+ * the current selection is kept when it is still available
+ */
+function populateDistroSelects() {
+  const distro = distroSelect.value;
+  const distroKeys = Object.keys(DISTRO_RELEASES).filter(
+    (key) => key in platformsData
+  );
+
+  distroSelect.replaceChildren(
+    ...distroKeys.map((key) => new Option(DISTRO_RELEASES[key].name, key))
+  );
+  if (distroKeys.includes(distro)) {
+    distroSelect.value = distro;
+  }
+
+  populateDistroOptions();
+}
+
+/**
+ * Fill the release and architecture selectors of the selected distribution
+ * Keeps the current release and architecture when the distribution offers them
+ */
+function populateDistroOptions() {
+  const selectedRelease = distroReleaseSelect.value;
+  const selectedArch = distroArchSelect.value;
+  const info = DISTRO_RELEASES[distroSelect.value];
+
+  distroReleaseSelect.replaceChildren(
+    ...(info?.releases ?? []).map(({ id, label }) => new Option(label, id))
+  );
+  distroArchSelect.replaceChildren(
+    ...(info?.architectures ?? []).map((arch) => new Option(arch, arch))
+  );
+
+  if (info?.releases.some(({ id }) => id === selectedRelease)) {
+    distroReleaseSelect.value = selectedRelease;
+  }
+  if (info?.architectures.includes(selectedArch)) {
+    distroArchSelect.value = selectedArch;
+  }
+}
+
+/**
+ * Generate the repository config of the selected distribution, release and architecture
+ * @returns {Array<{id: string, tool: string, filename: string, keys: string[], content: string}>} Config files followed by the replacement script
+ */
+function getDistroRepoConfigs() {
+  if (!distroSelect.value) {
+    return [];
+  }
+
+  return generateDistroRepoConfigs(getXgetDomain(), platformsData, {
+    distro: distroSelect.value,
+    release: distroReleaseSelect.value,
+    arch: distroArchSelect.value,
+  });
+}
+
+/**
+ * Render repository config snippets for the selected Linux distribution
+ */
+function renderDistroRepoConfigs() {
+  const snippets = getDistroRepoConfigs();
+  renderSnippetCards(distroSnippets, snippets);
+  distroScriptDownloadBtn.disabled = snippets.length === 0;
+}
+
+/**
+ * Download the script that backs up and replaces the repository files
+ */
+function downloadDistroScript() {
+  const script = getDistroRepoConfigs().find((snippet) =>
+    snippet.id.endsWith("-script")
+  );
+  if (script) {
+    downloadFile(script.filename, script.content, "text/x-shellscript");
+  }
+}
+
+/**
+ * Fill the AI provider selector with the ip-* platforms of the catalog
+ * Keeps the current selection when it is still available
+ */
+function populateAiProviderSelect() {
+  const selected = aiProviderSelect.value;
+  const providerKeys = Object.keys(platformsData).filter((key) =>
+    key.startsWith("ip-")
+  );
+
+  aiProviderSelect.replaceChildren(
+    ...providerKeys.map((key) => new Option(key, key))
+  );
+
+  if (providerKeys.includes(selected)) {
+    aiProviderSelect.value = selected;
+  }
+}
+
+/**
+ * Render SDK setup snippets for the selected AI inference provider
+ */
+function renderAiProviderSnippets() {
+  if (aiProviderSelect.options.length === 0) {
+    populateAiProviderSelect();
+  }
+
+  const key = aiProviderSelect.value;
+  renderSnippetCards(
+    aiSnippets,
+    key ? generateAiProviderSnippets(getXgetDomain(), key) : []
+  );
+}
+
+/**
+ * Generate the bookmarklets and the userscript for the current domain
+ * They embed the same conversion modules the converter uses
+ * @returns {{openBookmarklet: string, rewriteBookmarklet: string, userscript: string}} Generated scripts
+ */
+function getBrowserScripts() {
+  return generateBrowserScripts({
+    xgetDomain: getXgetDomain(),
+    platforms: platformsData,
+    moduleSources: [
+      classifyGitHubUrlSource,
+      platformRoutesSource,
+      convertSource,
+    ],
+  });
+}
+
+/**
+ * Update the bookmarklet links and show the generated code
+ */
+function renderBrowserScripts() {
+  const { openBookmarklet, rewriteBookmarklet, userscript } =
+    getBrowserScripts();
+
+  bookmarkletOpen.href = openBookmarklet;
+  bookmarkletRewrite.href = rewriteBookmarklet;
+
+  renderSnippetCards(browserScripts, [
+    {
+      id: "bookmarklet-open",
+      tool: "书签：打开当前页",
+      filename: "javascript:",
+      content: openBookmarklet,
+    },
+    {
+      id: "bookmarklet-rewrite",
+      tool: "书签：改写下载链接",
+      filename: "javascript:",
+      content: rewriteBookmarklet,
+    },
+    {
+      id: "userscript",
+      tool: "用户脚本",
+      filename: "xget.user.js",
+      content: userscript,
+    },
+  ]);
+}
+
+/**
+ * Download the userscript so a userscript manager can install it
+ */
+function downloadUserscript() {
+  downloadFile(
+    "xget.user.js",
+    getBrowserScripts().userscript,
+    "text/javascript"
+  );
+}
+
+/**
+ * Render a list of code snippets as cards with a copy button each
+ * @param {HTMLElement} container - Container to render into
+ * @param {Array<{id: string, tool: string, filename: string, content: string}>} snippets - Snippets to render
+ */
+function renderSnippetCards(container, snippets) {
+  container.replaceChildren(
+    ...snippets.map((snippet) => {
+      const card = document.createElement("div");
+      card.className = "snippet-card";
+      card.dataset.snippetId = snippet.id;
+      if (snippet.keys) {
+        card.dataset.keys = snippet.keys.join(" ");
+      }
+
+      const header = document.createElement("div");
+      header.className = "snippet-header";
+
+      const title = document.createElement("span");
+      title.className = "snippet-title";
+      title.textContent = snippet.tool;
+
+      const filename = document.createElement("code");
+      filename.className = "snippet-filename";
+      filename.textContent = snippet.filename;
+
+      const copyButton = document.createElement("button");
+      copyButton.type = "button";
+      copyButton.className = "batch-btn snippet-copy-btn";
+      copyButton.textContent = "复制";
+
+      header.append(title, filename, copyButton);
+
+      const pre = document.createElement("pre");
+      pre.className = "snippet-code";
+      const code = document.createElement("code");
+      code.textContent = snippet.content;
+      pre.appendChild(code);
+
+      card.append(header, pre);
+      return card;
+    })
+  );
+}
+
+/**
+ * Handle copy button clicks inside a snippet card container
+ * @param {HTMLElement} container - Container holding snippet cards
+ */
+function setupSnippetCopyHandler(container) {
+  container.addEventListener("click", async (e) => {
+    const button = e.target.closest(".snippet-copy-btn");
+    if (!button) {
+      return;
+    }
+
+    const code = button.closest(".snippet-card").querySelector(".snippet-code");
+    try {
+      await navigator.clipboard.writeText(code.textContent);
+      showTemporaryButtonText(button, "已复制!");
+    } catch (error) {
+      showError("复制到剪贴板失败。请手动复制。");
+    }
+  });
+}
+
+// ============================================================================
+// Custom Platforms
+// ============================================================================
+
+/**
+ * localStorage key holding the custom platform definitions
+ * @type {string}
+ */
+const CUSTOM_PLATFORMS_STORAGE_KEY = "xgetCustomPlatforms";
+
+/**
+ * Category used for custom platforms that do not name one
+ * @type {string}
+ */
+const CUSTOM_PLATFORM_CATEGORY = "⭐ 自定义平台";
+
+/**
+ * Load custom platforms from localStorage and merge them into platformsData
+ * Invalid stored entries are dropped so a bad definition cannot break loading
+ */
+function loadCustomPlatforms() {
+  let stored = [];
+  try {
+    stored = JSON.parse(
+      localStorage.getItem(CUSTOM_PLATFORMS_STORAGE_KEY) ?? "[]"
+    );
+  } catch (error) {
+    console.error("解析自定义平台失败:", error);
+  }
+
+  customPlatforms = validateCustomPlatforms(
+    stored,
+    builtinPlatformsData
+  ).platforms;
+  mergeCustomPlatforms();
+}
+
+/**
+ * Rebuild platformsData from the built-in platforms and the custom platforms
+ */
+function mergeCustomPlatforms() {
+  platformsData = { ...builtinPlatformsData };
+  for (const platform of customPlatforms) {
+    platformsData[platform.key] = platform.baseUrl;
+  }
+}
+
+/**
+ * Persist custom platforms and refresh everything that depends on them
+ */
+function updateCustomPlatforms() {
+  localStorage.setItem(
+    CUSTOM_PLATFORMS_STORAGE_KEY,
+    JSON.stringify(customPlatforms)
+  );
+  mergeCustomPlatforms();
+  renderCustomPlatformList();
+  loadDomainsData();
+}
+
+/**
+ * Render the list of custom platforms with edit and remove buttons
+ */
+function renderCustomPlatformList() {
+  customPlatformCategories.replaceChildren(
+    ...PLATFORM_CATEGORIES.map((category) => {
+      const option = document.createElement("option");
+      option.value = category;
+      return option;
+    })
+  );
+
+  customPlatformList.replaceChildren(
+    ...customPlatforms.map((platform) => {
+      const item = document.createElement("li");
+      item.className = "custom-platform-item";
+      item.dataset.key = platform.key;
+
+      const info = document.createElement("div");
+      info.className = "custom-platform-info";
+
+      const key = document.createElement("span");
+      key.className = "custom-platform-key";
+      key.textContent = platform.key;
+
+      const meta = document.createElement("span");
+      meta.className = "custom-platform-meta";
+      meta.textContent = [platform.baseUrl, platform.name, platform.category]
+        .filter(Boolean)
+        .join(" · ");
+
+      info.append(key, meta);
+
+      const editButton = document.createElement("button");
+      editButton.type = "button";
+      editButton.className = "batch-btn";
+      editButton.dataset.action = "edit";
+      editButton.textContent = "编辑";
+
+      const removeButton = document.createElement("button");
+      removeButton.type = "button";
+      removeButton.className = "batch-btn";
+      removeButton.dataset.action = "remove";
+      removeButton.textContent = "删除";
+
+      item.append(info, editButton, removeButton);
+      return item;
+    })
+  );
+
+  customPlatformSummary.textContent = customPlatforms.length
+    ? `共 ${customPlatforms.length} 个自定义平台`
+    : "尚未添加自定义平台";
+  customPlatformExportBtn.disabled = customPlatforms.length === 0;
+}
+
+/**
+ * Add a new custom platform or save the one being edited
+ * @param {SubmitEvent} e - Form submit event
+ */
+function saveCustomPlatform(e) {
+  e.preventDefault();
+
+  const { platforms, errors } = validateCustomPlatforms(
+    [
+      {
+        key: customPlatformKeyInput.value,
+        baseUrl: customPlatformBaseUrlInput.value,
+        name: customPlatformNameInput.value,
+        category: customPlatformCategoryInput.value,
+      },
+    ],
+    builtinPlatformsData
+  );
+
+  if (errors.length > 0) {
+    showError(errors[0].replace(/^第 1 项：/, ""));
+    return;
+  }
+
+  const [platform] = platforms;
+  if (
+    platform.key !== editingCustomPlatformKey &&
+    customPlatforms.some((existing) => existing.key === platform.key)
+  ) {
+    showError(`前缀 "${platform.key}" 已存在`);
+    return;
+  }
+
+  const editIndex = customPlatforms.findIndex(
+    (existing) => existing.key === editingCustomPlatformKey
+  );
+  customPlatforms =
+    editIndex === -1
+      ? [...customPlatforms, platform]
+      : customPlatforms.map((p, i) => (i === editIndex ? platform : p));
+
+  hideError();
+  resetCustomPlatformForm();
+  updateCustomPlatforms();
+}
+
+/**
+ * Clear the form and leave edit mode
+ */
+function resetCustomPlatformForm() {
+  editingCustomPlatformKey = null;
+  customPlatformForm.reset();
+  customPlatformSaveBtn.textContent = "添加平台";
+  customPlatformCancelBtn.classList.add("hidden");
+}
+
+/**
+ * Handle edit and remove buttons in the custom platform list
+ * @param {MouseEvent} e - Click event
+ */
+function handleCustomPlatformAction(e) {
+  const button = e.target.closest("button[data-action]");
+  if (!button) {
+    return;
+  }
+
+  const key = button.closest(".custom-platform-item").dataset.key;
+  const platform = customPlatforms.find((existing) => existing.key === key);
+  if (!platform) {
+    return;
+  }
+
+  if (button.dataset.action === "edit") {
+    editingCustomPlatformKey = key;
+    customPlatformKeyInput.value = platform.key;
+    customPlatformBaseUrlInput.value = platform.baseUrl;
+    customPlatformNameInput.value = platform.name;
+    customPlatformCategoryInput.value = platform.category;
+    customPlatformSaveBtn.textContent = "保存修改";
+    customPlatformCancelBtn.classList.remove("hidden");
+    customPlatformKeyInput.focus();
+    return;
+  }
+
+  if (
+    button.dataset.action === "remove" &&
+    confirm(`删除自定义平台 "${key}"？`)
+  ) {
+    customPlatforms = customPlatforms.filter(
+      (existing) => existing.key !== key
+    );
+    if (editingCustomPlatformKey === key) {
+      resetCustomPlatformForm();
+    }
+    updateCustomPlatforms();
+  }
+}
+
+/**
+ * Download the custom platforms as a JSON definition file to share with a team
+ */
+function exportCustomPlatforms() {
+  const content =
+    JSON.stringify({ version: 1, platforms: customPlatforms }, null, 2) + "\n";
+  downloadFile("xget-custom-platforms.json", content, "application/json");
+}
+
+/**
+ * Import custom platforms from a JSON definition file
+ * Imported entries replace existing entries with the same key
+ * @async
+ */
+async function importCustomPlatforms() {
+  const [file] = customPlatformImportInput.files;
+  customPlatformImportInput.value = "";
+  if (!file) {
+    return;
+  }
+
+  let input;
+  try {
+    input = JSON.parse(await file.text());
+  } catch (error) {
+    showError(`导入失败：${file.name} 不是有效的 JSON 文件`);
+    return;
+  }
+
+  const { platforms, errors } = validateCustomPlatforms(
+    input,
+    builtinPlatformsData
+  );
+  const importedKeys = new Set(platforms.map((platform) => platform.key));
+  customPlatforms = [
+    ...customPlatforms.filter((existing) => !importedKeys.has(existing.key)),
+    ...platforms,
+  ];
+  updateCustomPlatforms();
+
+  if (errors.length > 0) {
+    showError(
+      `已导入 ${platforms.length} 个平台，跳过 ${errors.length} 项：${errors.join("；")}`
+    );
+  } else {
+    hideError();
+  }
+  customPlatformSummary.textContent = `已导入 ${platforms.length} 个平台，共 ${customPlatforms.length} 个自定义平台`;
+}
+
+// ============================================================================
+// Remote Platform Catalog
+// ============================================================================
+
+/**
+ * localStorage key holding the remote platform catalog URL
+ * @type {string}
+ */
+const CATALOG_URL_STORAGE_KEY = "xgetCatalogUrl";
+
+/**
+ * platforms.js of the upstream Xget repository
+ * @type {string}
+ */
+const OFFICIAL_CATALOG_URL =
+  "https://cdn.jsdelivr.net/gh/masx200/Xget@main/src/config/platforms.js";
+
+/**
+ * Time limit for fetching the remote catalog in milliseconds
+ * @type {number}
+ */
+const CATALOG_FETCH_TIMEOUT = 8000;
+
+/**
+ * Get the configured remote catalog URL
+ * @returns {string} Catalog URL or an empty string when only the bundled catalog is used
+ */
+function getCatalogUrl() {
+  return localStorage.getItem(CATALOG_URL_STORAGE_KEY) ?? "";
+}
+
+/**
+ * Save the catalog URL from the input and sync with it
+ * @async
+ */
+async function handleCatalogUrlChange() {
+  const url = catalogUrlInput.value.trim();
+
+  if (url && !isValidUrl(url)) {
+    catalogUrlInput.classList.add("error");
+    return;
+  }
+  catalogUrlInput.classList.remove("error");
+
+  if (url) {
+    localStorage.setItem(CATALOG_URL_STORAGE_KEY, url);
+  } else {
+    localStorage.removeItem(CATALOG_URL_STORAGE_KEY);
+  }
+  await syncPlatformCatalog();
+}
+
+/**
+ * Sync the platform catalog with the configured remote source
+ * Uses ETag/Last-Modified revalidation against the IndexedDB cache. When the
+ * fetch fails the cached catalog is used, or the bundled platforms.js when
+ * nothing has been cached yet.
+ * @async
+ * @returns {Promise<void>}
+ */
+async function syncPlatformCatalog() {
+  const url = getCatalogUrl();
+  if (!url) {
+    applyPlatformCatalog({
+      source: "bundled",
+      platforms: bundledPlatformsData,
+    });
+    return;
+  }
+
+  catalogSyncBtn.disabled = true;
+  catalogStatus.textContent = "正在同步平台目录...";
+
+  let cached = null;
+  try {
+    cached = await readCatalogCache(url);
+  } catch (error) {
+    console.error("读取平台目录缓存失败:", error);
+  }
+
+  try {
+    const headers = {};
+    if (cached?.etag) {
+      headers["If-None-Match"] = cached.etag;
+    }
+    if (cached?.lastModified) {
+      headers["If-Modified-Since"] = cached.lastModified;
+    }
+
+    const response = await fetch(url, {
+      headers,
+      cache: "no-cache",
+      signal: AbortSignal.timeout(CATALOG_FETCH_TIMEOUT),
+    });
+
+    let entry;
+    if (response.status === 304 && cached) {
+      entry = {
+        ...cached,
+        syncedAt: Date.now(),
+        diff: diffPlatformCatalogs(cached.platforms, cached.platforms),
+      };
+    } else if (!response.ok) {
+      throw new Error(
+        `获取平台数据失败: ${response.status} ${response.statusText}`
+      );
+    } else {
+      const platforms = parsePlatformCatalog(await response.text());
+      entry = {
+        url,
+        etag: response.headers.get("ETag"),
+        lastModified: response.headers.get("Last-Modified"),
+        platforms,
+        syncedAt: Date.now(),
+        // Compare with the last sync, or with the bundled copy on the first one
+        diff: diffPlatformCatalogs(
+          cached?.platforms ?? bundledPlatformsData,
+          platforms
+        ),
+      };
+    }
+
+    try {
+      await writeCatalogCache(entry);
+    } catch (error) {
+      console.error("写入平台目录缓存失败:", error);
+    }
+
+    applyPlatformCatalog({ source: "remote", ...entry });
+  } catch (error) {
+    console.error("同步平台目录失败:", error);
+    const reason = error.name === "TimeoutError" ? "请求超时" : error.message;
+
+    if (cached) {
+      applyPlatformCatalog({ source: "cache", ...cached, error: reason });
+    } else {
+      applyPlatformCatalog({
+        source: "bundled",
+        platforms: bundledPlatformsData,
+        error: reason,
+      });
+    }
+  } finally {
+    catalogSyncBtn.disabled = false;
+  }
+}
+
+/**
+ * Make a catalog the active set of built-in platforms
+ * @param {Object} catalog - Catalog and where it came from
+ * @param {string} catalog.source - "bundled", "remote" or "cache"
+ * @param {Object.<string, string>} catalog.platforms - Platform mappings
+ * @param {string} [catalog.url] - Remote catalog URL
+ * @param {?string} [catalog.etag] - ETag of the remote catalog
+ * @param {?string} [catalog.lastModified] - Last-Modified of the remote catalog
+ * @param {number} [catalog.syncedAt] - Timestamp of the last successful sync
+ * @param {{added: string[], removed: string[], changed: string[]}} [catalog.diff] - Changes since the previous sync
+ * @param {string} [catalog.error] - Reason the remote catalog could not be fetched
+ */
+function applyPlatformCatalog(catalog) {
+  activeCatalog = { ...catalog, version: getCatalogVersion(catalog.platforms) };
+  builtinPlatformsData = catalog.platforms;
+  loadCustomPlatforms();
+  renderCatalogStatus();
+  loadDomainsData();
+
+  if (conversionMode === "platforms") {
+    renderCustomPlatformList();
+  }
+  if (conversionMode === "config") {
+    renderPackageManagerConfigs();
+  }
+}
+
+/**
+ * Compute a short content version for a catalog (FNV-1a over its JSON form)
+ * Identical catalogs get the same version regardless of where they came from
+ * @param {Object.<string, string>} platforms - Platform mappings
+ * @returns {string} 8 hex digit version
+ */
+function getCatalogVersion(platforms) {
+  const text = JSON.stringify(
+    Object.entries(platforms).sort(([a], [b]) => a.localeCompare(b))
+  );
+
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, "0");
+}
+
+/**
+ * Show the active catalog version and the changes of the last sync
+ */
+function renderCatalogStatus() {
+  if (!activeCatalog) {
+    return;
+  }
+
+  const sourceLabels = {
+    bundled: "内置 platforms.js",
+    remote: "远程目录",
+    cache: "已缓存的远程目录",
+  };
+
+  const parts = [
+    `当前目录：${sourceLabels[activeCatalog.source]}`,
+    `版本 ${activeCatalog.version}`,
+    `${Object.keys(activeCatalog.platforms).length} 个平台`,
+  ];
+  if (activeCatalog.etag) {
+    parts.push(`ETag ${activeCatalog.etag}`);
+  } else if (activeCatalog.lastModified) {
+    parts.push(`更新于 ${activeCatalog.lastModified}`);
+  }
+  if (activeCatalog.syncedAt) {
+    parts.push(`同步于 ${new Date(activeCatalog.syncedAt).toLocaleString()}`);
+  }
+  if (activeCatalog.error) {
+    parts.push(`同步失败：${activeCatalog.error}`);
+  }
+  catalogStatus.textContent = parts.join(" · ");
+
+  const diff = activeCatalog.source === "bundled" ? null : activeCatalog.diff;
+  const items = [];
+  if (diff) {
+    for (const key of diff.added) {
+      items.push(`+ ${key}  ${activeCatalog.platforms[key]}`);
+    }
+    for (const key of diff.removed) {
+      items.push(`- ${key}`);
+    }
+    for (const key of diff.changed) {
+      items.push(`~ ${key}  ${activeCatalog.platforms[key]}`);
+    }
+    if (items.length === 0) {
+      items.push("与上次同步相比没有变化");
+    }
+  }
+
+  catalogDiff.replaceChildren(
+    ...items.map((text) => {
+      const li = document.createElement("li");
+      li.textContent = text;
+      return li;
+    })
+  );
+}
+
+/**
+ * Read the cached catalog for a source URL
+ * @async
+ * @param {string} url - Remote catalog URL
+ * @returns {Promise<Object|undefined>} Cached entry
+ */
+async function readCatalogCache(url) {
+  const database = await openDatabase();
+  try {
+    return await promisifyRequest(
+      database.transaction("catalog").objectStore("catalog").get(url)
+    );
+  } finally {
+    database.close();
+  }
+}
+
+/**
+ * Store a synced catalog in the cache
+ * @async
+ * @param {Object} entry - Catalog entry keyed by its URL
+ * @returns {Promise<void>}
+ */
+async function writeCatalogCache(entry) {
+  const database = await openDatabase();
+  try {
+    await promisifyRequest(
+      database
+        .transaction("catalog", "readwrite")
+        .objectStore("catalog")
+        .put(entry)
+    );
+  } finally {
+    database.close();
+  }
+}
+
+// ============================================================================
+// Conversion History
+// ============================================================================
+
+/**
+ * Delay before a conversion is recorded, so typing a URL records it only once
+ * @type {number}
+ */
+const HISTORY_RECORD_DELAY = 1500;
+
+/**
+ * Schedule recording of a successful conversion
+ * A newer conversion replaces a pending one
+ * @param {string} original - Input URL or image reference
+ * @param {string} converted - Xget URL or image reference
+ * @param {string} key - Platform key
+ */
+function scheduleHistoryRecord(original, converted, key) {
+  clearTimeout(historyRecordTimer);
+  historyRecordTimer = setTimeout(() => {
+    recordConversion({
+      original,
+      converted,
+      key,
+      domain: getXgetDomain(),
+      createdAt: Date.now(),
+      pinned: false,
+    }).catch((error) => console.error("记录转换历史失败:", error));
+  }, HISTORY_RECORD_DELAY);
+}
+
+/**
+ * Store a conversion in the history
+ * Converting the same URL again only refreshes the timestamp of the existing entry
+ * @async
+ * @param {Object} entry - History entry without id
+ * @returns {Promise<void>}
+ */
+async function recordConversion(entry) {
+  const entries = await readHistory();
+  const existing = entries.find(
+    (candidate) =>
+      candidate.original === entry.original &&
+      candidate.converted === entry.converted
+  );
+
+  await writeHistory(
+    existing ? [{ ...existing, createdAt: entry.createdAt }] : [entry]
+  );
+
+  if (conversionMode === "history") {
+    await renderHistory();
+  }
+}
+
+/**
+ * Read all history entries
+ * @async
+ * @returns {Promise<Array<Object>>} History entries
+ */
+async function readHistory() {
+  const database = await openDatabase();
+  try {
+    return await promisifyRequest(
+      database.transaction("history").objectStore("history").getAll()
+    );
+  } finally {
+    database.close();
+  }
+}
+
+/**
+ * Insert or update history entries
+ * @async
+ * @param {Array<Object>} entries - Entries, those without id are added
+ * @returns {Promise<void>}
+ */
+async function writeHistory(entries) {
+  const database = await openDatabase();
+  try {
+    const store = database
+      .transaction("history", "readwrite")
+      .objectStore("history");
+    await Promise.all(
+      entries.map((entry) => promisifyRequest(store.put(entry)))
+    );
+  } finally {
+    database.close();
+  }
+}
+
+/**
+ * Delete history entries by id
+ * @async
+ * @param {number[]} ids - Entry ids
+ * @returns {Promise<void>}
+ */
+async function deleteHistory(ids) {
+  const database = await openDatabase();
+  try {
+    const store = database
+      .transaction("history", "readwrite")
+      .objectStore("history");
+    await Promise.all(ids.map((id) => promisifyRequest(store.delete(id))));
+  } finally {
+    database.close();
+  }
+}
+
+/**
+ * Reload the history and render the list, platform filter and usage chart
+ * @async
+ * @returns {Promise<void>}
+ */
+async function renderHistory() {
+  try {
+    historyEntries = await readHistory();
+  } catch (error) {
+    console.error("读取转换历史失败:", error);
+    showError(`读取转换历史失败: ${error.message}`);
+    historyEntries = [];
+  }
+
+  const usage = countHistoryByPlatform(historyEntries);
+  const selectedKey = historyPlatformFilter.value;
+  historyPlatformFilter.replaceChildren(
+    new Option("全部平台", ""),
+    ...usage.map(({ key, count }) => new Option(`${key}（${count}）`, key))
+  );
+  historyPlatformFilter.value = usage.some(({ key }) => key === selectedKey)
+    ? selectedKey
+    : "";
+
+  renderHistoryList();
+  renderHistoryChart(usage);
+}
+
+/**
+ * Render the history entries matching the search and platform filter
+ */
+function renderHistoryList() {
+  const visible = filterConversionHistory(historyEntries, {
+    query: historySearchInput.value,
+    key: historyPlatformFilter.value,
+  });
+
+  historyList.replaceChildren(
+    ...visible.map((entry) => {
+      const item = document.createElement("li");
+      item.className = "history-item";
+      item.classList.toggle("pinned", Boolean(entry.pinned));
+      item.dataset.id = String(entry.id);
+
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.className = "history-select";
+      checkbox.checked = selectedHistoryIds.has(entry.id);
+
+      const pinButton = document.createElement("button");
+      pinButton.type = "button";
+      pinButton.className = "history-pin-btn";
+      pinButton.dataset.action = "pin";
+      pinButton.textContent = entry.pinned ? "★" : "☆";
+      pinButton.title = entry.pinned ? "取消收藏" : "收藏";
+
+      const info = document.createElement("div");
+      info.className = "history-info";
+
+      const converted = document.createElement("span");
+      converted.className = "history-converted";
+      converted.textContent = entry.converted;
+
+      const original = document.createElement("span");
+      original.className = "history-meta";
+      original.textContent = entry.original;
+
+      const meta = document.createElement("span");
+      meta.className = "history-meta";
+      meta.textContent = `${entry.key} · ${entry.domain} · ${new Date(
+        entry.createdAt
+      ).toLocaleString()}`;
+
+      info.append(converted, original, meta);
+
+      const actions = document.createElement("div");
+      actions.className = "history-actions";
+      for (const [action, label] of [
+        ["copy", "复制"],
+        ["rerun", "用当前域名重新转换"],
+      ]) {
+        const button = document.createElement("button");
+        button.type = "button";
+        button.className = "batch-btn";
+        button.dataset.action = action;
+        button.textContent = label;
+        actions.appendChild(button);
+      }
+
+      item.append(checkbox, pinButton, info, actions);
+      return item;
+    })
+  );
+
+  const pinnedCount = historyEntries.filter((entry) => entry.pinned).length;
+  historySummary.textContent = historyEntries.length
+    ? `共 ${historyEntries.length} 条记录，收藏 ${pinnedCount} 条，当前显示 ${visible.length} 条`
+    : "转换成功的链接会自动记录在这里";
+  historyDeleteBtn.disabled = selectedHistoryIds.size === 0;
+  historyExportBtn.disabled = historyEntries.length === 0;
+  historySelectAllBtn.disabled = visible.length === 0;
+}
+
+/**
+ * Draw the per-platform usage chart
+ * Chart.js is loaded on demand the first time the history is shown
+ * @async
+ * @param {Array<{key: string, count: number}>} usage - Usage per platform
+ * @returns {Promise<void>}
+ */
+async function renderHistoryChart(usage) {
+  try {
+    const { Chart } = await import("chart.js/auto");
+
+    historyChart?.destroy();
+    historyChart = new Chart(historyChartCanvas.getContext("2d"), {
+      type: "bar",
+      data: {
+        labels: usage.map(({ key }) => key),
+        datasets: [
+          {
+            label: "转换次数",
+            data: usage.map(({ count }) => count),
+            backgroundColor: "rgba(59, 130, 246, 0.7)",
+            borderColor: "rgba(59, 130, 246, 1)",
+            borderWidth: 1,
+          },
+        ],
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        plugins: {
+          legend: { display: false },
+          title: { display: true, text: "各平台使用次数" },
+        },
+        scales: {
+          y: { beginAtZero: true, ticks: { precision: 0 } },
+        },
+      },
+    });
+  } catch (error) {
+    console.error("加载使用统计图表失败:", error);
+  }
+}
+
+/**
+ * Handle selection, pin, copy and re-run actions in the history list
+ * @async
+ * @param {MouseEvent} e - Click event
+ */
+async function handleHistoryAction(e) {
+  const item = e.target.closest(".history-item");
+  if (!item) {
+    return;
+  }
+
+  const entry = historyEntries.find(
+    (candidate) => String(candidate.id) === item.dataset.id
+  );
+  if (!entry) {
+    return;
+  }
 
-  if (!url) {
-    resetPlatformStatus();
-    hideError();
-    hideResult();
+  if (e.target.classList.contains("history-select")) {
+    if (e.target.checked) {
+      selectedHistoryIds.add(entry.id);
+    } else {
+      selectedHistoryIds.delete(entry.id);
+    }
+    historyDeleteBtn.disabled = selectedHistoryIds.size === 0;
     return;
   }
 
-  if (!isValidUrl(url)) {
-    showPlatformError("URL 格式无效");
-    hideResult();
+  const button = e.target.closest("button[data-action]");
+  if (!button) {
     return;
   }
 
-  // Detect platform from URL
-  const detectedPlatform = detectPlatform(url);
+  if (button.dataset.action === "pin") {
+    await writeHistory([{ ...entry, pinned: !entry.pinned }]);
+    await renderHistory();
+    return;
+  }
 
-  if (detectedPlatform) {
-    showPlatformDetected(detectedPlatform.key, detectedPlatform.name);
-    hideError();
-    // Automatically convert the URL in real-time
-    performUrlConversion(url, detectedPlatform);
-  } else {
-    showPlatformError("平台不受支持或无法识别");
-    hideResult();
+  if (button.dataset.action === "copy") {
+    try {
+      await navigator.clipboard.writeText(entry.converted);
+      showTemporaryButtonText(button, "已复制!");
+    } catch (error) {
+      showError("复制到剪贴板失败。请手动复制。");
+    }
+    return;
+  }
+
+  if (button.dataset.action === "rerun") {
+    originalUrlInput.value = entry.original;
+    setConversionMode("convert");
+    converterSection.scrollIntoView({ behavior: "smooth", block: "center" });
   }
 }
 
 /**
- * Validate URL format using the URL constructor
- * @param {string} string - URL string to validate
- * @returns {boolean} True if valid URL format
+ * Select all visible entries, or clear the selection when all are selected
  */
-function isValidUrl(string) {
-  try {
-    new URL(string);
-    return true;
-  } catch {
-    return false;
+function toggleSelectAllHistory() {
+  const visibleIds = [...historyList.querySelectorAll(".history-item")].map(
+    (item) => Number(item.dataset.id)
+  );
+  const allSelected = visibleIds.every((id) => selectedHistoryIds.has(id));
+
+  for (const id of visibleIds) {
+    if (allSelected) {
+      selectedHistoryIds.delete(id);
+    } else {
+      selectedHistoryIds.add(id);
+    }
   }
+  renderHistoryList();
 }
 
 /**
- * Detect platform from URL using priority-based matching
- * Priority order: exact hostname → path-based routing → subdomain → base domain
- * @param {string} url - URL to analyze
- * @returns {Object|null} Platform object with key, name, and baseUrl or null if not found
+ * Delete the selected history entries after confirmation
+ * @async
  */
-function detectPlatform(url) {
-  try {
-    const urlObj = new URL(url);
-    const hostname = urlObj.hostname;
-    const pathname = urlObj.pathname;
+async function deleteSelectedHistory() {
+  const ids = [...selectedHistoryIds];
+  if (ids.length === 0 || !confirm(`删除所选的 ${ids.length} 条历史记录？`)) {
+    return;
+  }
 
-    // Priority 1: Exact hostname match (handles subdomain conflicts automatically)
-    for (const [key, baseUrl] of Object.entries(platformsData)) {
-      try {
-        const baseUrlObj = new URL(baseUrl);
-        if (hostname === baseUrlObj.hostname) {
-          return {
-            key,
-            name: getPlatformDisplayName(key, baseUrl),
-            baseUrl,
-          };
-        }
-      } catch (e) {
-        // Skip invalid base URLs
-        continue;
-      }
-    }
+  try {
+    await deleteHistory(ids);
+  } catch (error) {
+    showError(`删除历史记录失败: ${error.message}`);
+    return;
+  }
 
-    // Priority 2: Special path-based routing for platforms sharing the same hostname
+  selectedHistoryIds.clear();
+  await renderHistory();
+}
 
-    // ghcr.io - route based on pathname
-    if (hostname === "ghcr.io") {
-      // Check if it's a homebrew bottles path (contains /v2/homebrew/)
-      if (pathname.includes("/v2/homebrew/")) {
-        return {
-          key: "homebrew-bottles",
-          name: getPlatformDisplayName("homebrew-bottles", "https://ghcr.io"),
-          baseUrl: "https://ghcr.io",
-        };
-      } else {
-        // Default to cr-ghcr for standard container registry usage
-        return {
-          key: "cr-ghcr",
-          name: getPlatformDisplayName("cr-ghcr", "https://ghcr.io"),
-          baseUrl: "https://ghcr.io",
-        };
-      }
-    }
+/**
+ * Download the whole history as JSON
+ */
+function exportHistory() {
+  const content =
+    JSON.stringify({ version: 1, history: historyEntries }, null, 2) + "\n";
+  downloadFile("xget-history.json", content, "application/json");
+}
 
-    // github.com - route based on pathname
-    if (hostname === "github.com") {
-      // Check if it's a Homebrew organization path (starts with /Homebrew or /homebrew/, case-insensitive)
-      if (pathname.toLowerCase().startsWith("/homebrew/")) {
-        return {
-          key: "homebrew",
-          name: getPlatformDisplayName(
-            "homebrew",
-            "https://github.com/Homebrew"
-          ),
-          baseUrl: "https://github.com/Homebrew",
-        };
-      } else {
-        // Default to gh for standard GitHub usage
-        return {
-          key: "gh",
-          name: getPlatformDisplayName("gh", "https://github.com"),
-          baseUrl: "https://github.com",
-        };
-      }
-    }
+/**
+ * Import history entries from a JSON file exported by exportHistory
+ * Entries that are already present (same URLs and timestamp) are skipped
+ * @async
+ */
+async function importHistory() {
+  const [file] = historyImportInput.files;
+  historyImportInput.value = "";
+  if (!file) {
+    return;
+  }
 
-    // Priority 3: Subdomain match (e.g., registry.npmjs.org matches npmjs.org)
-    for (const [key, baseUrl] of Object.entries(platformsData)) {
-      try {
-        const baseUrlObj = new URL(baseUrl);
-        if (hostname.endsWith("." + baseUrlObj.hostname)) {
-          return {
-            key,
-            name: getPlatformDisplayName(key, baseUrl),
-            baseUrl,
-          };
-        }
-      } catch (e) {
-        continue;
-      }
+  let entries;
+  try {
+    const data = JSON.parse(await file.text());
+    entries = Array.isArray(data) ? data : data?.history;
+    if (!Array.isArray(entries)) {
+      throw new Error("缺少 history 数组");
     }
+  } catch (error) {
+    showError(`导入失败：${file.name} 不是有效的历史记录文件`);
+    return;
+  }
 
-    // Priority 4: Base domain match (e.g., different subdomains on same base domain)
-    for (const [key, baseUrl] of Object.entries(platformsData)) {
-      try {
-        const baseUrlObj = new URL(baseUrl);
-        const baseDomain = baseUrlObj.hostname.split(".").slice(-2).join(".");
-        const urlDomain = hostname.split(".").slice(-2).join(".");
-
-        if (baseDomain === urlDomain && baseDomain.includes(".")) {
-          return {
-            key,
-            name: getPlatformDisplayName(key, baseUrl),
-            baseUrl,
-          };
-        }
-      } catch (e) {
-        continue;
-      }
-    }
+  const existingKeys = new Set(
+    historyEntries.map(
+      (entry) => `${entry.original}\n${entry.converted}\n${entry.createdAt}`
+    )
+  );
+  const imported = entries
+    .filter(
+      (entry) =>
+        typeof entry?.original === "string" &&
+        typeof entry?.converted === "string" &&
+        typeof entry?.key === "string"
+    )
+    .map((entry) => ({
+      original: entry.original,
+      converted: entry.converted,
+      key: entry.key,
+      domain: typeof entry.domain === "string" ? entry.domain : "",
+      createdAt: Number(entry.createdAt) || Date.now(),
+      pinned: Boolean(entry.pinned),
+    }))
+    .filter(
+      (entry) =>
+        !existingKeys.has(
+          `${entry.original}\n${entry.converted}\n${entry.createdAt}`
+        )
+    );
 
-    return null;
-  } catch {
-    return null;
+  try {
+    await writeHistory(imported);
+  } catch (error) {
+    showError(`导入历史记录失败: ${error.message}`);
+    return;
   }
+
+  hideError();
+  await renderHistory();
+  historySummary.textContent = `已导入 ${imported.length} 条记录，跳过 ${
+    entries.length - imported.length
+  } 条`;
 }
 
 // ============================================================================
-// URL Conversion Functions
+// Platform Coverage Self-Test
 // ============================================================================
 
 /**
- * Convert URL to Xget format with real-time processing
- * Extracts the path from the original URL and constructs the Xget URL
- * Special handling for GitHub blob URLs: automatically converts them to raw URLs
- * Example: /owner/repo/blob/branch/file → /owner/repo/raw/refs/heads/branch/file
- * @param {string} url - Original URL to convert
- * @param {Object} detectedPlatform - Platform object with key, name, and baseUrl
+ * Labels of the platform metadata fields in the missing fields report
+ * @type {Object.<string, string>}
  */
-function performUrlConversion(url, detectedPlatform) {
-  try {
-    const urlObj = new URL(url);
-
-    // Extract the path after the base URL
-    let path = urlObj.pathname;
-
-    // For some platforms, we might need to include search params
-    if (urlObj.search) {
-      path += urlObj.search;
-    }
-
-    // Handle special cases where the path might need adjustment
-    path = adjustPathForPlatform(path, detectedPlatform.key, urlObj);
-
-    // Use platform key as-is without any character replacement
-    // This preserves both dots and hyphens in the platform prefix
-    const platformPrefix = detectedPlatform.key;
-
-    // Get the configured Xget domain
-    const xgetDomain = getXgetDomain();
+const METADATA_FIELD_LABELS = {
+  name: "显示名称",
+  category: "分类",
+  icon: "图标",
+  sample: "示例 URL",
+  docs: "文档链接",
+};
 
-    // Construct the Xget URL
-    const xgetUrl = `${xgetDomain}/${platformPrefix}${path}`;
+/**
+ * Run the golden sample URLs through the converter and render the results
+ * together with the platforms whose metadata is incomplete
+ * Uses the active catalog, so remote and custom platforms are checked too
+ */
+function runDiagnostics() {
+  const metadata = getPlatformMetadata();
+  const { results, missing } = runPlatformSelfTest(
+    platformsData,
+    metadata,
+    getXgetDomain()
+  );
+  const incomplete = findMissingPlatformMetadata(platformsData, metadata);
+  const failed = results.filter((result) => !result.pass);
+
+  // Failures first, each group keeps the catalog order
+  diagnosticsResultsBody.replaceChildren(
+    ...[...failed, ...results.filter((result) => result.pass)].map(
+      renderDiagnosticsRow
+    )
+  );
 
-    // Display the result
-    convertedUrlInput.value = xgetUrl;
-    showResult();
-    hideError();
+  diagnosticsMissing.replaceChildren(
+    ...(incomplete.length > 0 ? incomplete : [null]).map((entry) => {
+      const item = document.createElement("li");
+      item.textContent = entry
+        ? `${entry.key}：缺少${entry.fields
+            .map((field) => METADATA_FIELD_LABELS[field])
+            .join("、")}`
+        : "无";
+      return item;
+    })
+  );
 
-    // Reset copy button state
-    resetCopyButton();
-  } catch (error) {
-    console.error("转换错误:", error);
-    showError(`URL 转换失败: ${error.message}`);
-  }
+  diagnosticsSummary.textContent = `共 ${results.length} 个平台：通过 ${
+    results.length - failed.length
+  } 个，失败 ${failed.length} 个；${missing.length} 个平台缺少示例`;
 }
 
 /**
- * Adjust path for specific platforms if needed
- * Most platforms can use the path as-is, but special handling can be added
- * @param {string} path - URL path to adjust
- * @param {string} platformKey - Platform key identifier
- * @param {URL} urlObj - Original URL object
- * @returns {string} Adjusted path
+ * Build a self-test table row, failed rows also show the expected values
+ * @param {{key: string, url: string, expectedPath: string, actualKey: ?string, actualPath: ?string, match: ?string, pass: boolean}} result - Self-test result
+ * @returns {HTMLTableRowElement} Table row
  */
-function adjustPathForPlatform(path, platformKey, urlObj) {
-  // Special handling for GitHub platform - convert blob URLs to raw URLs
-  if (platformKey === "gh") {
-    // Check if this is a blob URL pattern: /owner/repo/blob/branch/file
-    const blobMatch = path.match(/^\/([^\/]+)\/([^\/]+)\/blob\/(.+)$/);
-    if (blobMatch) {
-      const [, owner, repo, branchAndFile] = blobMatch;
+function renderDiagnosticsRow(result) {
+  const tr = document.createElement("tr");
+  tr.className = `diagnostics-row ${result.pass ? "pass" : "fail"}`;
+
+  const cells = [
+    [result.key],
+    [result.url],
+    [result.pass ? "通过" : "失败"],
+    [
+      result.actualKey ? `${result.actualKey}（${result.match}）` : "未识别",
+      result.actualKey !== result.key ? `期望：${result.key}` : null,
+    ],
+    [
+      result.actualPath ?? "—",
+      result.actualPath !== result.expectedPath
+        ? `期望：${result.expectedPath}`
+        : null,
+    ],
+  ];
+
+  for (const [text, expected] of cells) {
+    const td = document.createElement("td");
+    td.textContent = text;
+    if (!result.pass && expected) {
+      const hint = document.createElement("span");
+      hint.className = "diagnostics-expected";
+      hint.textContent = expected;
+      td.appendChild(hint);
+    }
+    tr.appendChild(td);
+  }
 
-      // Split branch and file path
-      // We need to be careful here because branch names can contain slashes
-      // For simplicity, we'll assume the first segment is the branch name
-      // This works for most common cases like "main", "master", "dev", etc.
-      const parts = branchAndFile.split("/");
+  return tr;
+}
 
-      if (parts.length >= 2) {
-        const branch = parts[0];
-        const filePath = parts.slice(1).join("/");
+// ============================================================================
+// Deep Links
+// ============================================================================
 
-        // Convert to raw URL format: /owner/repo/raw/refs/heads/branch/file
-        path = `/${owner}/${repo}/raw/refs/heads/${branch}/${filePath}`;
-      } else if (parts.length === 1) {
-        // Edge case: only branch name, no file path
-        const branch = parts[0];
-        path = `/${owner}/${repo}/raw/refs/heads/${branch}/`;
-      }
-    }
+/**
+ * Pre-fill the converter from ?url=, ?domain= and ?mode= (or the same
+ * parameters in the hash) and run the conversion
+ */
+function applyDeepLink() {
+  const { url, domain, mode } = parseDeepLink(location.href);
+  if (!url && !domain && !mode) {
+    return;
   }
 
-  // Special handling for homebrew platform
-  if (platformKey === "homebrew") {
-    // Remove /Homebrew or /homebrew from the path (case-insensitive)
-    path = path.replace(/^\/[Hh]omebrew/i, "");
+  // A shared domain routes every download through that server, so it is only
+  // used once the user accepts it
+  if (domain && domain !== getXgetDomain()) {
+    deepLinkDomain.dataset.domain = domain;
+    deepLinkDomainName.textContent = domain;
+    deepLinkDomain.classList.remove("hidden");
+  }
 
-    // If path becomes empty, set it to root
-    if (!path || path === "/") {
-      path = "";
+  const targetMode = mode ?? "convert";
+  if (url) {
+    if (targetMode === "batch") {
+      batchInput.value = url;
+    } else if (targetMode === "command") {
+      commandInput.value = url;
+    } else {
+      originalUrlInput.value = url;
     }
   }
 
-  // Special handling for homebrew-api platform
-  if (platformKey === "homebrew-api") {
-    // Remove /api from the beginning of the path to avoid duplication
-    path = path.replace(/^\/api/i, "");
+  setConversionMode(targetMode);
+}
 
-    // If path becomes empty, set it to root
-    if (!path || path === "/") {
-      path = "";
-    }
+/**
+ * Switch to the domain of the shared link
+ * It applies to this visit only and must not be replaced by auto selection,
+ * the saved domain stays untouched
+ */
+function acceptDeepLinkDomain() {
+  instanceMode = "manual";
+  xgetDomainInput.value = deepLinkDomain.dataset.domain;
+  deepLinkDomain.classList.add("hidden");
+  renderXgetInstances();
+  handleDomainInput();
+  updateAddressBar();
+}
+
+/**
+ * Ignore the domain of the shared link and keep the current one
+ */
+function dismissDeepLinkDomain() {
+  deepLinkDomain.classList.add("hidden");
+  updateAddressBar();
+}
+
+/**
+ * Get the link that reproduces the current converter state
+ * @param {boolean} [maskSecrets=false] - Mask detected secrets in the shared input
+ * @returns {string} Share link
+ */
+function getShareLink(maskSecrets = false) {
+  const inputs = {
+    convert: originalUrlInput,
+    reverse: originalUrlInput,
+    batch: batchInput,
+    command: commandInput,
+  };
+
+  const input = inputs[conversionMode]?.value;
+  // Lockfiles and container documents are too large to share, links to
+  // those modes open the converter instead
+  const mode = ["lockfile", "document"].includes(conversionMode)
+    ? null
+    : conversionMode;
+
+  return buildShareLink(
+    location.href,
+    {
+      url: maskSecrets && input ? maskTextSecrets(input) : input,
+      // A shared domain stays in the link until the user accepts or dismisses it
+      domain: deepLinkDomain.classList.contains("hidden")
+        ? getXgetDomain()
+        : deepLinkDomain.dataset.domain,
+      mode,
+    },
+    DEFAULT_XGET_DOMAIN
+  );
+}
+
+/**
+ * Replace the address bar URL with the current share link without adding history entries
+ * Detected secrets are masked so they do not end up in the browser history
+ */
+function updateAddressBar() {
+  const link = getShareLink(true);
+  if (link !== location.href) {
+    history.replaceState(history.state, "", link);
   }
+}
 
-  // Ensure path starts with / (except for homebrew and homebrew-api when it should be empty)
-  if (!path.startsWith("/") && path !== "") {
-    path = "/" + path;
+/**
+ * Copy the share link of the current conversion to the clipboard
+ * @async
+ */
+async function copyShareLink() {
+  if (!confirmSecretsHandled()) {
+    return;
   }
 
-  return path;
+  try {
+    await navigator.clipboard.writeText(getShareLink());
+    showTemporaryButtonText(shareBtn, "已复制链接!");
+  } catch (error) {
+    showError("复制到剪贴板失败。请手动复制地址栏中的链接。");
+  }
 }
 
 // ============================================================================
@@ -608,7 +4121,7 @@ function adjustPathForPlatform(path, platformKey, urlObj) {
 async function copyToClipboard() {
   const textToCopy = convertedUrlInput.value;
 
-  if (!textToCopy) {
+  if (!textToCopy || !confirmSecretsHandled()) {
     return;
   }
 
@@ -723,6 +4236,23 @@ function showCopySuccess() {
   }, 2000);
 }
 
+/**
+ * Show a short confirmation text on a button and restore it afterwards
+ * @param {HTMLButtonElement} button - Button to update
+ * @param {string} text - Temporary text
+ */
+function showTemporaryButtonText(button, text) {
+  const originalText = button.dataset.originalText ?? button.textContent;
+  button.dataset.originalText = originalText;
+  button.textContent = text;
+  button.classList.add("copied");
+
+  setTimeout(() => {
+    button.textContent = originalText;
+    button.classList.remove("copied");
+  }, 2000);
+}
+
 /**
  * Reset copy button to original state
  */
@@ -829,6 +4359,12 @@ const domainsGrid = document.getElementById("domains-grid");
 /** @type {HTMLElement} Domains count display */
 const domainsCount = document.getElementById("domains-count");
 
+/** @type {HTMLInputElement} Domains search input */
+const domainsSearchInput = document.getElementById("domains-search");
+
+/** @type {HTMLElement} Domains category chips container */
+const domainsChips = document.getElementById("domains-chips");
+
 /**
  * Set up the domains section with collapsible functionality
  */
@@ -838,7 +4374,9 @@ async function setupDomainsSection() {
     !domainsToggle ||
     !domainsToggleBtn ||
     !domainsContent ||
-    !domainsGrid
+    !domainsGrid ||
+    !domainsSearchInput ||
+    !domainsChips
   ) {
     console.warn("Domains section elements not found");
     return;
@@ -856,20 +4394,45 @@ async function setupDomainsSection() {
 
   // Add click handlers for domain items
   setupDomainClickHandlers();
+
+  domainsSearchInput.addEventListener("input", handleDomainsSearch);
+  domainsSearchInput.addEventListener("keydown", (e) => {
+    if (e.key === "ArrowDown") {
+      e.preventDefault();
+      focusDomainItem(domainsGrid.querySelector(".domain-list li"));
+    }
+  });
+  domainsChips.addEventListener("click", handleDomainChipClick);
+  domainsGrid.addEventListener("keydown", handleDomainsKeydown);
 }
 
 /**
- * Load domains data and populate the domains grid
+ * Load domains data and populate the domains grid and the category chips
+ * with the platforms matching the active filter
  */
 async function loadDomainsData() {
   try {
     const { generateDomainsHTML } = await import("./generateDomainsHTML.js");
-    const domainsHTML = generateDomainsHTML();
+    const categories = getCategorizedDomains(
+      platformsData,
+      getPlatformMetadata()
+    );
+
+    // A catalog change may remove the selected category
+    if (!(domainsFilter.category in categories)) {
+      domainsFilter.category = "";
+    }
+
+    const visible = filterCategorizedDomains(categories, domainsFilter);
+    const domainsHTML = generateDomainsHTML(visible, {
+      configKeys: getConfigSnippetKeys(),
+    });
 
     domainsGrid.innerHTML = domainsHTML;
+    renderDomainChips(categories);
 
     // Update domain count
-    updateDomainsCount();
+    updateDomainsCount(categories, visible);
   } catch (error) {
     console.error("加载域名数据失败:", error);
     domainsGrid.innerHTML = '<p class="error-message">加载域名数据失败</p>';
@@ -897,18 +4460,26 @@ function toggleDomainsSection() {
 
 /**
  * Update the domains count display
+ * Shows "visible / total" while a search query or category is active
+ * @param {Object.<string, Array<Object>>} categories - All platforms by category
+ * @param {Object.<string, Array<Object>>} visible - Platforms matching the filter
  */
-function updateDomainsCount() {
-  const domainItems = domainsGrid.querySelectorAll(".domain-list li");
-  const count = domainItems.length;
+function updateDomainsCount(categories, visible) {
+  const countOf = (grouped) =>
+    Object.values(grouped).reduce((sum, list) => sum + list.length, 0);
+  const total = countOf(categories);
 
   if (domainsCount) {
-    domainsCount.textContent = `${count}+`;
+    domainsCount.textContent =
+      domainsFilter.query || domainsFilter.category
+        ? `${countOf(visible)} / ${total}`
+        : String(total);
   }
 }
 
 /**
  * Set up click handlers for domain items
+ * Action buttons run their action, clicking elsewhere on an item tries its sample
  */
 function setupDomainClickHandlers() {
   // Use event delegation for better performance
@@ -916,31 +4487,300 @@ function setupDomainClickHandlers() {
     const domainItem = e.target.closest(".domain-list li");
 
     if (domainItem) {
-      const domainUrlElement = domainItem.querySelector(".domain-url");
-      if (domainUrlElement) {
-        const domainUrl = domainUrlElement.textContent.trim();
+      const button = e.target.closest("button[data-action]");
+      focusDomainItem(domainItem);
+      handleDomainAction(
+        button?.dataset.action ?? "try",
+        domainItem.dataset.key,
+        button
+      );
+    }
+  });
+}
+
+/**
+ * Get the platform keys that have a configuration snippet to open
+ * Container registries show the registry mirror config of a sample image,
+ * AI providers their SDK snippets in the configuration panel.
+ * @returns {Set<string>} Platform keys
+ */
+function getConfigSnippetKeys() {
+  const snippets = [
+    ...generatePackageManagerConfigs(getXgetDomain(), platformsData),
+    ...generateGitInsteadOfRules(getXgetDomain(), platformsData),
+  ];
+  const keys = new Set(snippets.flatMap((snippet) => snippet.keys));
+
+  for (const key of Object.keys(platformsData)) {
+    if (
+      key.startsWith("ip-") ||
+      (key.startsWith("cr-") && getSampleImageReference(key))
+    ) {
+      keys.add(key);
+    }
+  }
+
+  return keys;
+}
+
+/**
+ * Derive an image reference from the sample manifest URL of a container registry
+ * @param {string} key - Platform key
+ * @returns {?string} Image reference such as ghcr.io/owner/image:tag, null without a sample
+ */
+function getSampleImageReference(key) {
+  const sample = getPlatformMetadata()[key]?.sample;
+  if (!sample) {
+    return null;
+  }
+
+  const url = new URL(sample.url);
+  const match = url.pathname.match(/^\/v2\/(.+)\/manifests\/([\w][\w.-]*)$/);
+  return match ? `${url.host}/${match[1]}:${match[2]}` : null;
+}
 
-        // Create a sample URL for this domain
-        const sampleUrl = createSampleUrl(domainUrl);
+/**
+ * Render the category filter chips with the number of platforms matching
+ * the search query in each category
+ * @param {Object.<string, Array<Object>>} categories - Platforms by category
+ */
+function renderDomainChips(categories) {
+  const matching = filterCategorizedDomains(categories, {
+    query: domainsFilter.query,
+  });
+  const countOf = (category) =>
+    category
+      ? (matching[category]?.length ?? 0)
+      : Object.values(matching).reduce((sum, list) => sum + list.length, 0);
+
+  domainsChips.replaceChildren(
+    ...["", ...Object.keys(categories)].map((category) => {
+      const chip = document.createElement("button");
+      chip.type = "button";
+      chip.className = "domain-chip";
+      chip.classList.toggle("active", category === domainsFilter.category);
+      chip.setAttribute(
+        "aria-pressed",
+        String(category === domainsFilter.category)
+      );
+      chip.dataset.category = category;
+      chip.textContent = `${category || "全部"}（${countOf(category)}）`;
+      return chip;
+    })
+  );
+}
 
-        if (sampleUrl) {
-          // Populate the URL input with the sample URL
-          originalUrlInput.value = sampleUrl;
+/**
+ * Handle clicks on the category chips, clicking the active chip clears it
+ * @param {MouseEvent} e - Click event
+ */
+function handleDomainChipClick(e) {
+  const chip = e.target.closest(".domain-chip");
+  if (!chip) {
+    return;
+  }
 
-          // Trigger URL processing
-          handleUrlInput();
+  domainsFilter.category =
+    chip.dataset.category === domainsFilter.category
+      ? ""
+      : chip.dataset.category;
+  loadDomainsData();
+}
 
-          // Scroll to the converter section
-          converterSection.scrollIntoView({
-            behavior: "smooth",
-            block: "center",
-          });
+/**
+ * Handle domains search input
+ */
+function handleDomainsSearch() {
+  domainsFilter.query = domainsSearchInput.value.trim();
+  loadDomainsData();
+}
 
-          // Highlight the input field
-          originalUrlInput.focus();
-          originalUrlInput.select();
+/**
+ * Run a domain item action
+ * @param {string} action - "copy-prefix", "try" or "config"
+ * @param {string} key - Platform key of the item
+ * @param {?HTMLButtonElement} button - Action button, null for item clicks and shortcuts
+ */
+async function handleDomainAction(action, key, button) {
+  switch (action) {
+    case "copy-prefix": {
+      const prefix = `${getXgetDomain()}/${key}`;
+      try {
+        await navigator.clipboard.writeText(prefix);
+        if (button) {
+          showTemporaryButtonText(button, "已复制");
         }
+      } catch (error) {
+        showError(`复制到剪贴板失败。请手动复制：${prefix}`);
       }
+      break;
     }
+
+    case "config":
+      openPlatformConfig(key);
+      break;
+
+    default:
+      tryPlatformSample(key);
+  }
+}
+
+/**
+ * Load the sample URL of a platform into the converter
+ * @param {string} key - Platform key
+ */
+function tryPlatformSample(key) {
+  // Create a sample URL for this platform
+  const sampleUrl = createSampleUrl(key, platformsData, getPlatformMetadata());
+  if (!sampleUrl) {
+    return;
+  }
+
+  setConversionMode("convert");
+
+  // Populate the URL input with the sample URL
+  originalUrlInput.value = sampleUrl;
+
+  // Trigger URL processing
+  handleUrlInput();
+
+  // Scroll to the converter section
+  converterSection.scrollIntoView({
+    behavior: "smooth",
+    block: "center",
   });
+
+  // Highlight the input field
+  originalUrlInput.focus();
+  originalUrlInput.select();
+}
+
+/**
+ * Show the configuration snippet of a platform
+ * Container registries convert a sample image to show its mirror config,
+ * AI providers select their SDK snippets, other platforms scroll to the
+ * package manager or git snippet that uses them.
+ * @param {string} key - Platform key
+ */
+function openPlatformConfig(key) {
+  if (key.startsWith("cr-")) {
+    const reference = getSampleImageReference(key);
+    if (!reference) {
+      showError(`平台 ${key} 暂无示例镜像`);
+      return;
+    }
+
+    setConversionMode("convert");
+    originalUrlInput.value = reference;
+    handleUrlInput();
+    flashElement(platformSnippets);
+    return;
+  }
+
+  setConversionMode("config");
+
+  let target = null;
+  if (key.startsWith("ip-")) {
+    aiProviderSelect.value = key;
+    renderAiProviderSnippets();
+    target = aiSnippets;
+  } else {
+    target = configList.querySelector(
+      `.snippet-card[data-keys~="${CSS.escape(key)}"]`
+    );
+  }
+
+  if (!target) {
+    showError(`平台 ${key} 暂无配置片段`);
+    return;
+  }
+
+  flashElement(target);
+}
+
+/**
+ * Scroll an element into view and briefly highlight it
+ * @param {HTMLElement} element - Element to reveal
+ */
+function flashElement(element) {
+  element.scrollIntoView({ behavior: "smooth", block: "center" });
+  element.classList.add("flash-highlight");
+  setTimeout(() => element.classList.remove("flash-highlight"), 2000);
+}
+
+/**
+ * Move keyboard focus to a domain item, keeping a single item in the tab order
+ * @param {?HTMLElement} item - Domain item to focus
+ */
+function focusDomainItem(item) {
+  if (!item) {
+    return;
+  }
+
+  domainsGrid
+    .querySelectorAll('.domain-list li[tabindex="0"]')
+    .forEach((other) => other.setAttribute("tabindex", "-1"));
+  item.setAttribute("tabindex", "0");
+  item.focus();
+}
+
+/**
+ * Keyboard navigation inside the domains grid
+ * - ↑/↓, Home/End: move between the visible items
+ * - Enter: try the sample URL, C: copy the Xget prefix, S: open the config snippet
+ * - Escape: back to the search box
+ * @param {KeyboardEvent} e - Keydown event
+ */
+function handleDomainsKeydown(e) {
+  const item = e.target.closest(".domain-list li");
+  if (!item || e.altKey || e.ctrlKey || e.metaKey) {
+    return;
+  }
+
+  const items = [...domainsGrid.querySelectorAll(".domain-list li")];
+  const index = items.indexOf(item);
+  const onItem = e.target === item;
+
+  switch (e.key) {
+    case "ArrowDown":
+      focusDomainItem(items[Math.min(index + 1, items.length - 1)]);
+      break;
+    case "ArrowUp":
+      focusDomainItem(items[Math.max(index - 1, 0)]);
+      break;
+    case "Home":
+      focusDomainItem(items[0]);
+      break;
+    case "End":
+      focusDomainItem(items[items.length - 1]);
+      break;
+    case "Enter":
+      if (!onItem) {
+        return;
+      }
+      handleDomainAction("try", item.dataset.key, null);
+      break;
+    case "c":
+    case "C":
+      handleDomainAction(
+        "copy-prefix",
+        item.dataset.key,
+        item.querySelector('[data-action="copy-prefix"]')
+      );
+      break;
+    case "s":
+    case "S":
+      if (!item.querySelector('[data-action="config"]')) {
+        return;
+      }
+      handleDomainAction("config", item.dataset.key, null);
+      break;
+    case "Escape":
+      domainsSearchInput.focus();
+      break;
+    default:
+      return;
+  }
+
+  e.preventDefault();
 }